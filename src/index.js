@@ -1,18 +1,58 @@
 const _REDUCERS = Symbol('_REDUCERS');
 const _BASE = Symbol('_BASE');
 const _PROPAGATE = Symbol('_PROPAGATE');
+const _ID = Symbol('_ID');
+const _STATE = Symbol('_STATE');
+const _SUBSCRIBE = Symbol('_SUBSCRIBE');
+const _ATTACH = Symbol('_ATTACH');
+const _DISPOSE = Symbol('_DISPOSE');
+const _REMOVE = Symbol('_REMOVE');
+const _ROWS = Symbol('_ROWS');
 
 const build = (signals, config = {}) => {
+  // worker circuits reduce without the DOM and report errors to the main thread
+  if (config.serve)
+    config = {
+      ...config,
+      headless: true,
+      onError:
+        config.onError ||
+        ((error, signal) =>
+          config.serve.postMessage({ type: 'error', error, signal })),
+    };
+  // main thread reducers forward their signals to the worker
+  if (config.worker && !config.base)
+    signals = forward(signals, (message) => config.worker.postMessage(message));
+
   const {
     base,
     parent = { id: '', state: () => state },
     deferredSignals = [],
+    observers = [],
+    computations = [],
+    routing = { routes: [] },
     handlers = [],
-    junctions = {},
+    // layer circuits by name, shared by every layer of a circuit
+    layers: junctions = {},
     ctx = {},
     terminal,
+    onTrace: trace,
+    // open batches and the nested $state handlers they hold back
+    batching = { depth: 0, held: new Map() },
   } = config;
   let { state = {} } = config;
+  let disposed = false;
+  let batched;
+  const scheduler = !parent.id && scheduling(config.schedule);
+  const disposers = [];
+  const branches = [];
+  const attachers = [];
+  let attached = !config.headless;
+
+  // hydrate root state from storage before wiring
+  const storage = !parent.id && config.persist && persistence(config.persist);
+  const stored = storage && storage.read();
+  if (stored && !(stored instanceof Promise)) state = merge(state, stored);
 
   const fromSignal = (circuit = {}, [head, ...tail]) =>
     !head
@@ -27,15 +67,118 @@ const build = (signals, config = {}) => {
       ? fromSignal(circuit[head], tail)
       : [circuit[_REDUCERS], circuit[head]];
 
-  const propagate = (signalState, deferred, address, signal, local) => {
+  // resolve a signal path or fail with the closest known path
+  const route = (circuit, signal, path, from = '') => {
+    const resolved = fromSignal(circuit, path.split('/'));
+    if (resolved[0] && resolved[1] !== void 0) return resolved;
+    const root = rootOf(circuit);
+    const known = Object.entries(junctions).reduce(
+      (acc, [layer, lct]) =>
+        lct === root ? acc : [...acc, ...paths(lct, `/${layer}`)],
+      paths(root)
+    );
+    throw signalError(signal, absolute(from, path), known);
+  };
+
+  // merge memoized computed values into root output state
+  let source, derived;
+  const derive = () => {
+    if (parent.id || !computations.length) return state;
+    if (state === source) return derived;
+    source = state;
+    return (derived = computations.reduce((acc, computation) => {
+      const values = computation.paths.map((path) => select(state, path));
+      if (
+        !computation.values ||
+        values.some((value, i) => value !== computation.values[i])
+      ) {
+        computation.values = values;
+        computation.value = computation.compute(
+          select(state, computation.from)
+        );
+      }
+      return assoc(acc, keys(computation.id), computation.value);
+    }, state));
+  };
+
+  // run root $state handlers and the terminal once for merged signals
+  const settle = (signal, signals = signal) => {
+    state = handlers.reduce(
+      (acc, [key, handler]) =>
+        (!key && handler(undefined, handlers, signal, acc)) || acc,
+      state
+    );
+    if (terminal) terminal(derive(), signals, false, false);
+  };
+
+  // coalesce scheduled root state changes until the next flush
+  const pending = [];
+  const flush = () => {
+    const signals = pending.splice(0);
+    if (!signals.length || disposed) return;
+    const signal = signals[signals.length - 1];
+    const previous = state;
+    settle(signal, signals);
+    if (state !== previous) notify(signal);
+  };
+  const defer = (signal) => pending.push(signal) === 1 && scheduler(flush);
+
+  // notify external observers of root state change
+  const notify = (signal) =>
+    !parent.id && observers.forEach((observer) => observer(state, signal));
+
+  // initial and hydrated state reach the terminal through the scheduler
+  const restore = (signal) => {
+    if (scheduler) defer(signal);
+    else if (terminal) terminal(derive(), signal, 'state', true);
+    notify(signal);
+  };
+
+  // route errors to this circuit's $error reducer or bubble them up
+  let catcher;
+  const scoped = !parent.id || parent.isCircuit;
+  const escalate = (error, signal) => {
+    if (config.raise) return config.raise(error, signal);
+    if (!config.onError) throw error;
+    config.onError(error, signal, state);
+  };
+  const raise = (error, signal) => {
+    if (!catcher) return escalate(error, signal);
+    const settle = (next) => {
+      if (next === void 0 || disposed) return;
+      if (!parent.id) return propagate(next, false, '', signal);
+      state = next;
+      terminal(state, signal, false, !!parent.isCircuit);
+    };
+    try {
+      const next = catcher(scoped ? state : parent.state(), { error, signal });
+      if (next instanceof Promise)
+        next.then(settle, (error) => escalate(error, signal));
+      else settle(next);
+    } catch (error) {
+      escalate(error, signal);
+    }
+  };
+
+  const propagate = (
+    signalState,
+    deferred,
+    address,
+    signal,
+    local,
+    hops = 0
+  ) => {
     // cancel propagation?
-    if (signalState === void 0) return state;
+    if (signalState === void 0 || disposed) return state;
+    const id = [parent.id, address].join('/');
 
     // bale until fulfilled
     if (signalState instanceof Promise) {
-      signalState.then((state) => {
-        return propagate(state, false, address, signal, local);
-      });
+      if (trace) trace({ step: 'async', signal, id: id || '/', address, hops });
+      signalState.then(
+        (state) => propagate(state, false, address, signal, local, hops + 1),
+        (error) => raise(error, signal)
+      );
       return state;
     }
 
@@ -52,7 +195,6 @@ const build = (signals, config = {}) => {
       );
     else {
       state = signalState;
-      const id = [parent.id, address].join('/');
       if (bubble)
         state = handlers.reduce(
           (acc, [key, handler, deferring]) =>
@@ -65,6 +207,8 @@ const build = (signals, config = {}) => {
                 state)
               : (!key &&
                   deferred !== 'state' &&
+                  !batching.depth &&
+                  !scheduler &&
                   handler(undefined, handlers, signal, acc)) ||
                 acc,
           state
@@ -75,52 +219,128 @@ const build = (signals, config = {}) => {
       !deferred &&
       handlers.find(([key, , , layered]) => key === address && layered);
 
-    if (terminal && bubble)
-      terminal(state, signal, !!junction || deferred, !!address);
+    if (trace)
+      trace({
+        step: local
+          ? 'local'
+          : deferred === true
+          ? 'junction'
+          : deferred
+          ? 'deferred'
+          : 'propagate',
+        signal,
+        id: id || '/',
+        address,
+        input: signalState,
+        output: state,
+        hops,
+      });
+
+    // nested $state handlers run once when the batch completes
+    if (parent.id && batching.depth && bubble && deferred !== 'state')
+      batching.held.set(parent.id, hold);
+
+    // batched root state change flushes once when the batch completes
+    if (!parent.id && batching.depth && bubble) batched = true;
+    else if (scheduler && bubble) {
+      notify(signal);
+      defer(signal);
+    } else {
+      if (terminal && bubble)
+        terminal(derive(), signal, !!junction || deferred, !!address);
+
+      if (bubble) notify(signal);
+    }
 
     if (junction) junction[1](undefined, true, signal, state);
 
     return state;
   };
 
-  const wire = (acc, [signal, reducer, deferred]) => {
-    const [, , alias, , _se, asMap] = signal.match(
-      /(([\w]+):)?(\s*([^_]+))?(_)?/
+  // run nested $state handlers held back by a batch
+  const hold = () => {
+    if (disposed) return;
+    const previous = state;
+    const next = handlers.reduce(
+      (acc, [key, handler]) =>
+        (!key && handler(undefined, handlers, '/batch', acc)) || acc,
+      state
     );
-    const [selector, event = ''] = _se.split('$');
-    const deferring = /^[\/\.]/.test(event);
+    if (next === previous) return;
+    state = next;
+    terminal(derive(), '/batch', 'state', true);
+  };
+
+  const wire = (acc, [signal, reducer, deferred]) => {
+    const {
+      alias,
+      selector,
+      address,
+      deferring,
+      event,
+      args,
+      modifier,
+      asMap,
+    } = parse(signal);
     const signals = typeof reducer !== 'function' && reducer;
     const isCircuit =
       signals && Object.keys(signals).some((key) => !key.startsWith('$'));
 
     if (deferred) {
-      const [resolvedReducers] = fromSignal(acc, deferred.split('/'));
-      resolvedReducers.push([deferred.replace(/\./g, ''), reducer, handlers]);
+      const [resolvedReducers] = route(acc, signal, deferred);
+      const entry = [deferred.replace(/\./g, ''), reducer, handlers];
+      resolvedReducers.push(entry);
+      disposers.push(() => unlink(resolvedReducers, entry));
       return acc;
     }
-
-    const element = []
-      .concat(config.mount || [document])
-      .reduce(
-        (acc, el) => [
-          ...acc,
-          ...(el && selector ? optimisticQuery(el, selector) : [el]),
-        ],
-        []
-      );
-
-    // normalise the signal address for state
-    const address = selector.replace(/[#\.\-\[\]\(\)\"\=\^\&]/g, '');
     const id =
       address || event ? `${parent.id}/${address || event}` : parent.id || '/';
 
     const self = {
       id,
       address,
-      signal: (id, value) => fromSignal(acc, id.split('/'))[1](value),
-      el: element.length <= 1 ? element[0] : element,
+      signal: (path, value) => route(acc, signal, path, parent.id)[1](value),
+      navigate: (url, options) => {
+        if (!routing.navigate)
+          throw new Error('dom-circuit: navigate requires the router option');
+        return routing.navigate(url, options);
+      },
     };
 
+    // headless signals reduce once, without an element
+    const element = [void 0];
+    const locate = (mount) => {
+      if (
+        config.strict &&
+        selector &&
+        event !== 'computed' &&
+        !config.live &&
+        !config.delegate &&
+        !mount.some((el) => el && resolve(el, selector, config.pierce).length)
+      )
+        throw Object.assign(
+          new Error(
+            `dom-circuit: selector '${selector}' in signal '${signal}' matches no element`
+          ),
+          { signal }
+        );
+      element.splice(
+        0,
+        element.length,
+        ...mount.reduce(
+          (acc, el) => [
+            ...acc,
+            ...(el && selector
+              ? optimisticQuery(el, selector, config.pierce)
+              : [el]),
+          ],
+          []
+        )
+      );
+      self.el = element.length <= 1 ? element[0] : element;
+    };
+    if (!config.headless) locate([].concat(config.mount || [document]));
+
     const proxy = new Proxy(self, {
       get: (_, prop) => (prop in ctx ? ctx[prop] : self[prop]),
       set: (_, prop, value) => {
@@ -129,6 +349,87 @@ const build = (signals, config = {}) => {
       },
     });
 
+    // computed state is derived from its dependency paths, never stored
+    if (event === 'computed') {
+      const read = () => select(rootOf(acc).state, id);
+      computations.push({
+        id,
+        from: parent.id,
+        paths: args
+          ? args.split(',').map((path) => absolute(parent.id, path.trim()))
+          : [parent.id || '/'],
+        compute: (state) => reducer.call(proxy, state),
+      });
+      read[_BASE] = void 0;
+      read[_ID] = id;
+      acc[alias || address] = read;
+      return acc;
+    }
+
+    // keyed list rows rendered from array state under the bound container
+    if (event === 'list') {
+      const dispatch = (reducer, row, name) => {
+        const signal = `${id}/${name}`;
+        if (disposed) return state;
+        // row reducers see the row over the circuit context
+        const context = new Proxy(proxy, {
+          get: (target, prop) =>
+            prop === 'id' ? signal : prop in row ? row[prop] : target[prop],
+        });
+        let items;
+        try {
+          items = reducer.call(context, state[address], row.event);
+        } catch (error) {
+          raise(error, signal);
+          return state;
+        }
+        const next = (items) =>
+          items === void 0 ? void 0 : { ...state, [address]: items };
+        return propagate(
+          items instanceof Promise ? items.then(next) : next(items),
+          false,
+          address,
+          signal
+        );
+      };
+      // row signals by key path, for rows reduced in a worker
+      acc[_ROWS] = Object.entries(reducer.signals || {}).reduce(
+        (rows, [signal, row]) => {
+          const { alias, selector, event } = parse(signal);
+          const name = alias || selector || event;
+          return {
+            ...rows,
+            [`${alias || address}$list/${name}`]: ({ index, event }) =>
+              dispatch(
+                row,
+                { item: (state[address] || [])[index], index, event },
+                name
+              ),
+          };
+        },
+        acc[_ROWS]
+      );
+      const connect = () => {
+        const lists = element
+          .filter((el) => el && el.appendChild)
+          .map((el) => listing(el, reducer, dispatch));
+        const render = (state) =>
+          lists.forEach((render) => render(select(state, id)));
+        render(rootOf(acc).state);
+        observers.push(render);
+        disposers.push(() => {
+          unlink(observers, render);
+          lists.forEach((render) => render.dispose());
+        });
+      };
+      if (!config.headless) connect();
+      attachers.push((mount) => {
+        locate(mount);
+        connect();
+      });
+      return acc;
+    }
+
     // a signal can be handled directly or passed through to a child circuit
     const children = signals
       ? build(signals, {
@@ -140,33 +441,62 @@ const build = (signals, config = {}) => {
               signal || id
             ),
           base: acc,
-          junctions,
+          layers: junctions,
           layer: config.layer,
+          live: config.live,
+          strict: config.strict,
+          delegate: config.delegate,
+          pierce: config.pierce,
+          headless: config.headless,
+          concurrency: config.concurrency,
+          batching,
+          raise,
           state: state[address],
           parent: { id, address, state: () => state, isCircuit },
           deferredSignals,
+          observers,
+          computations,
+          routing,
+          onTrace: trace,
           mount: element,
         })
       : {};
+    if (children[_DISPOSE]) disposers.push(children[_DISPOSE]);
+    if (signals) branches.push([address, children]);
 
     if (event === 'init') {
-      const signalState = reducer.call(proxy, state);
+      let signalState;
+      try {
+        signalState = reducer.call(proxy, state);
+      } catch (error) {
+        raise(error, id);
+        return acc;
+      }
       if (signalState instanceof Promise) {
-        signalState.then((signalState) => {
-          if (signalState != void 0) {
-            state = signalState;
-            if (terminal) terminal(state, id, 'state', true);
-          }
-        });
+        signalState.then(
+          (signalState) => {
+            if (signalState != void 0 && !disposed) {
+              state = signalState;
+              restore(id);
+            }
+          },
+          (error) => raise(error, id)
+        );
       } else if (signalState != void 0) {
         state = signalState;
-        if (terminal) terminal(state, id, 'state', true);
+        restore(id);
       }
       return acc;
     }
 
-    const mapValue = (key, value) => {
-      const newValue = reducer.call(proxy, value);
+    // only a selector-less $error catches errors, img$error binds the DOM
+    if (event === 'error' && !selector) {
+      catcher = (acc, value) => reducer.call(proxy, acc, value);
+      return acc;
+    }
+
+    const mapValue = (key, value, context = proxy) => {
+      const newValue = reducer.call(context, value);
       return newValue === undefined
         ? undefined
         : newValue === value
@@ -177,40 +507,85 @@ const build = (signals, config = {}) => {
           };
     };
 
+    // async reducer concurrency policy
+    const { concurrency: policies } = config;
+    const policy =
+      ['latest', 'queue', 'drop'].find((policy) => modifier[policy]) ||
+      (typeof policies === 'object' ? policies[id] : policies);
+    const concurrency = policy && concurrent(policy);
+
     const handler = function (
       value,
       deferred,
       signal,
       acc = address ? state : parent.state()
     ) {
+      // disposed circuits no longer respond to signals
+      if (disposed) return state;
       const hasValue = value !== void 0;
       const key = address || parent.address;
+      // live and delegated events reduce through the element that fired them
+      const targets =
+        (config.live || config.delegate) && this && this.addEventListener
+          ? [this]
+          : element;
       if (!hasValue) value = acc[key];
+      // each latest call reads its own abortSignal, even after an await
+      const reduce = (acc, abortSignal) => {
+        const context = abortSignal
+          ? new Proxy(proxy, {
+              get: (target, prop) =>
+                prop === 'abortSignal' ? abortSignal : target[prop],
+            })
+          : proxy;
+        return targets.reduce((acc, el) => {
+          self.el = el;
+          const output = asMap
+            ? mapValue(key, value, context)
+            : reducer.call(context, acc, value);
+          if (trace)
+            trace({
+              step: 'reduce',
+              signal: signal || id,
+              id,
+              address,
+              input: acc,
+              value,
+              output,
+            });
+          return output;
+        }, acc);
+      };
+      if (hasValue && value === acc[address]) return state;
+      let signalState;
+      try {
+        signalState = signals
+          ? { ...acc, [key]: value }
+          : concurrency
+          ? concurrency(reduce, acc, () => (address ? state : parent.state()))
+          : reduce(acc);
+      } catch (error) {
+        raise(error, signal || id);
+        return state;
+      }
       // circuit handler called for child propagation
-      return hasValue && value === acc[address]
-        ? state
-        : (signals ? children[_PROPAGATE] : propagate)(
-            signals
-              ? { ...acc, [key]: value }
-              : element.reduce((acc, el) => {
-                  self.el = el;
-                  return asMap
-                    ? mapValue(key, value)
-                    : reducer.call(proxy, acc, value);
-                }, acc),
-            deferred,
-            signals && !isCircuit ? '' : address,
-            signal || id,
-            isCircuit || (!address && parent.isCircuit && event !== 'state')
-          );
+      return (signals ? children[_PROPAGATE] : propagate)(
+        signalState,
+        deferred,
+        signals && !isCircuit ? '' : address,
+        signal || id,
+        isCircuit || (!address && parent.isCircuit && event !== 'state')
+      );
     };
 
     if ((!deferring && !event) || event === 'state') {
       handlers.push([address, handler]);
       const [layer, junction] = fromSignal(junctions.root, id.split('/'));
       if (typeof junction === 'function') {
+        const entry = [address, handler, handlers, true];
         handlers.push([address, junction, layer, true]);
-        layer.push([address, handler, handlers, true]);
+        layer.push(entry);
+        disposers.push(() => unlink(layer, entry));
       }
     }
 
@@ -218,49 +593,1196 @@ const build = (signals, config = {}) => {
       deferredSignals.push([signal, handler, event]);
     }
 
+    if (event === 'route') routing.routes.push([pattern(args), handler]);
+
     // transfer local cct to handler
     Object.entries(children).forEach(([key, value]) => (handler[key] = value));
     handler[_REDUCERS] = children[_REDUCERS];
+    handler[_ROWS] = children[_ROWS];
     handler[_BASE] = children[_BASE];
+    handler[_ID] = id;
 
-    if (event !== 'state') acc[alias || address || event] = handler;
+    if (event !== 'state' && (event !== 'route' || alias))
+      acc[alias || address || event] = handler;
 
     // bind element events to handler
-    if (event && !deferring && event !== 'state') {
-      element.forEach((el) => el && el.addEventListener(event, handler));
-    }
+    const connect = (mount) => {
+      if (!event || deferring || event === 'state' || event === 'route') return;
+      const { capture = false, once = false, passive = false } = modifier;
+      const options = { capture, once, passive };
+      const dispatch =
+        modifier.debounce || modifier.throttle
+          ? timed(handler, modifier)
+          : handler;
+      if (dispatch.cancel) disposers.push(dispatch.cancel);
+      // form signals reduce named control values on input and change
+      const form = event === 'form';
+      const types = form ? ['input', 'change'] : [event];
+      let values;
+      const listener = function (e) {
+        if (modifier.prevent) e.preventDefault();
+        if (modifier.stop) e.stopPropagation();
+        if (!form) return dispatch.call(this, e);
+        const next = formValues(this);
+        if (!sameValues(next, values)) dispatch.call(this, (values = next));
+      };
+      const bound = new Map();
+      const bind = (el) => {
+        if (bound.has(el)) return;
+        types.forEach((type) => el.addEventListener(type, listener, options));
+        bound.set(el, () =>
+          types.forEach((type) =>
+            el.removeEventListener(type, listener, options)
+          )
+        );
+      };
+      const unbind = (el) => {
+        bound.get(el)();
+        bound.delete(el);
+      };
+
+      // shadow roots are not observed, so live selectors stay in light DOM
+      if (config.live && !config.delegate && />>>/.test(selector))
+        throw Object.assign(
+          new Error(
+            `dom-circuit: selector '${selector}' in signal '${signal}' cannot be live`
+          ),
+          { signal }
+        );
+      // delegated selectors share one listener on each mount element
+      if (config.delegate && selector) {
+        const query = queries(selector.split(/\s*>>>\s*/).pop()).join(',');
+        mount.forEach((root) => {
+          const delegate = (e) => {
+            // the composed path sees through shadow DOM event retargeting
+            const path = e.composedPath ? e.composedPath() : [];
+            const { target } = e;
+            const el = path.includes(root)
+              ? path
+                  .slice(0, path.indexOf(root))
+                  .find((node) => node.matches && node.matches(query))
+              : (target.closest ? target : target.parentNode).closest(query);
+            if (
+              !el ||
+              el === root ||
+              (!path.includes(root) && !root.contains(el))
+            )
+              return;
+            if (once)
+              types.forEach((type) =>
+                root.removeEventListener(type, delegate, options)
+              );
+            listener.call(el, e);
+          };
+          types.forEach((type) =>
+            root.addEventListener(type, delegate, { ...options, once: false })
+          );
+          disposers.push(() =>
+            types.forEach((type) =>
+              root.removeEventListener(type, delegate, options)
+            )
+          );
+        });
+      }
+      // live selectors bind to matching elements only, now and later
+      else if (config.live && selector) {
+        const query = queries(selector).join(',');
+        const observer =
+          mount.length &&
+          observe(mount[0], (records) =>
+            records.forEach(({ addedNodes, removedNodes }) => {
+              removedNodes.forEach((node) =>
+                bound.forEach(
+                  (_, el) => (node === el || node.contains(el)) && unbind(el)
+                )
+              );
+              addedNodes.forEach(
+                (node) =>
+                  node.nodeType === 1 &&
+                  [node, ...node.querySelectorAll(query)].forEach(
+                    (el) => el.matches(query) && bind(el)
+                  )
+              );
+            })
+          );
+        mount.forEach((el) => {
+          observer.observe(el, { childList: true, subtree: true });
+          [...resolve(el, selector, config.pierce)].forEach(bind);
+        });
+        if (observer) disposers.push(() => observer.disconnect());
+      } else element.forEach((el) => el && bind(el));
+
+      disposers.push(() => bound.forEach((_, el) => unbind(el)));
+
+      // write state changes back to the form controls
+      if (!form) return;
+      const write = (state) => {
+        const next = select(state, id);
+        if (next === values || !isObject(next)) return;
+        values = next;
+        (config.delegate && selector
+          ? mount.reduce(
+              (acc, el) => [...acc, ...resolve(el, selector, config.pierce)],
+              []
+            )
+          : [...bound.keys()]
+        ).forEach((el) => writeForm(el, next));
+      };
+      write(rootOf(acc).state);
+      observers.push(write);
+      disposers.push(() => unlink(observers, write));
+    };
+    if (!config.headless)
+      connect([].concat(config.mount || [document]).filter(Boolean));
+    attachers.push((mount) => {
+      locate(mount);
+      connect(mount.filter(Boolean));
+      if (children[_ATTACH]) children[_ATTACH](element);
+    });
+
     junctions[config.layer || 'root'] = acc;
     return acc;
   };
 
+  const subscribe = (path, listener) => {
+    // layered paths subscribe to the layer's own state
+    const [, layer, ...tail] = path.split('/');
+    const root = rootOf(circuit);
+    if (path[0] === '/' && junctions[layer] && junctions[layer] !== root)
+      return junctions[layer][_SUBSCRIBE](`/${tail.join('/')}`, listener);
+
+    const [, handler] = route(circuit, path, path, parent.id);
+    let previous = select(root.state, handler[_ID]);
+    const observer = (_, signal) => {
+      const value = select(root.state, handler[_ID]);
+      if (value === previous) return;
+      const last = previous;
+      previous = value;
+      listener(value, last, signal);
+    };
+    observers.push(observer);
+    return () => unlink(observers, observer);
+  };
+  // bind a headless circuit to the DOM
+  const attach = (mount = document) => {
+    if (attached) throw new Error('dom-circuit: circuit is already attached');
+    attached = true;
+    attachers.forEach((attach) => attach([].concat(mount)));
+    return circuit;
+  };
+  const dispose = () => {
+    disposed = true;
+    disposers.splice(0).forEach((dispose) => dispose());
+    const layer = config.layer || 'root';
+    if (!parent.id && junctions[layer] === circuit) delete junctions[layer];
+  };
+  const layer = (signals, config = {}) => {
+    const child = build(signals, {
+      onTrace: trace,
+      ...config,
+      layers: junctions,
+      layer: config.layer || vacant(junctions, Object.keys(junctions).length),
+    });
+    const dispose = child[_DISPOSE];
+    disposers.push(dispose);
+    // take the layer off, unwiring its junctions and DOM bindings
+    child[_REMOVE] = () => {
+      unlink(disposers, dispose);
+      dispose();
+    };
+    if (!('remove' in child)) child.remove = child[_REMOVE];
+    return child;
+  };
+  // remove layers whatever their signals are named, as in cct.layer.remove(view)
+  layer.remove = (child) => child[_REMOVE]();
+
   const circuit = Object.entries(signals).reduce(wire, {
     [_REDUCERS]: handlers,
     [_BASE]: base,
     [_PROPAGATE]: propagate,
     get state() {
-      return state;
+      return derive();
     },
-    layer: (signals, config = {}) =>
-      build(signals, {
-        ...config,
-        junctions,
-        layer: config.layer || Object.keys(junctions).length,
-      }),
+    // replace state without propagation
+    [_STATE]: (next = {}) => {
+      state = next;
+      branches.forEach(([address, children]) =>
+        children[_STATE](next && next[address])
+      );
+    },
+    layer,
+    // signals of the same name replace these methods, internals use symbols
+    subscribe,
+    attach,
+    dispose,
+    [_SUBSCRIBE]: subscribe,
+    [_ATTACH]: attach,
+    [_DISPOSE]: dispose,
   });
 
-  return parent.id ? circuit : deferredSignals.reduce(wire, circuit);
+  if (parent.id) return circuit;
+  deferredSignals.reduce(wire, circuit);
+
+  // explicit junctions between paths of differently shaped layers,
+  // unwiring the half built layer when a path does not resolve
+  try {
+    Object.entries(config.junctions || {}).forEach(([path, target]) => {
+      const {
+        path: to,
+        to: out = (value) => value,
+        from: back = (value) => value,
+      } = typeof target === 'string' ? { path: target } : target;
+      const [list, handler] = route(circuit, path, path);
+      const [targets, junction] = route(junctions.root, path, to);
+      const address = keys(handler[_ID]).pop();
+      const key = keys(junction[_ID]).pop();
+      const entry = [
+        address,
+        (_, deferred, signal, acc) =>
+          junction(out(acc[address]), deferred, signal),
+        targets,
+        true,
+      ];
+      const targetEntry = [
+        key,
+        (_, deferred, signal, acc) => handler(back(acc[key]), deferred, signal),
+        list,
+        true,
+      ];
+      list.push(entry);
+      targets.push(targetEntry);
+      disposers.push(() => {
+        unlink(list, entry);
+        unlink(targets, targetEntry);
+      });
+    });
+  } catch (error) {
+    dispose();
+    throw error;
+  }
+
+  // persist root state through a throttled storage adapter
+  if (storage) {
+    let saved = state;
+    // hold writes until async hydration settles, so as not to clobber storage
+    let hydrating = stored instanceof Promise;
+    const write = () => {
+      if (!hydrating && saved !== state) storage.write((saved = state));
+    };
+    const save = timed(write, {
+      throttle: storage.throttle,
+      trailing: true,
+    });
+    observers.push(save);
+    disposers.push(() => {
+      save.cancel();
+      write();
+    });
+    if (stored instanceof Promise) {
+      const initial = state;
+      stored.then(
+        (stored) => {
+          hydrating = false;
+          if (disposed) return;
+          if (stored === void 0) return save();
+          // state changed while hydration was pending wins over stored state
+          const changed = state !== initial;
+          circuit[_STATE](hydrate(initial, state, stored));
+          if (!changed) saved = state;
+          restore('/persist');
+        },
+        (error) => {
+          hydrating = false;
+          raise(error, '/persist');
+        }
+      );
+    }
+  }
+
+  // merge several signals into one root state change
+  const batch = (fn) => {
+    batching.depth++;
+    try {
+      fn(circuit);
+    } finally {
+      // deepest circuits first, so their parents see the settled state
+      if (batching.depth === 1)
+        [...batching.held]
+          .sort(([a], [b]) => b.split('/').length - a.split('/').length)
+          .forEach(([id, hold]) => batching.held.delete(id) && hold());
+      if (!--batching.depth && batched && !disposed) {
+        batched = false;
+        if (scheduler) defer('/batch');
+        else settle('/batch');
+        notify('/batch');
+      }
+    }
+    return circuit.state;
+  };
+  expose(circuit, { batch: { value: batch } });
+
+  // drive route signals from the URL and reflect state back into it
+  if (config.router) {
+    const { mode = 'history', reflect = {} } = config.router;
+    const hash = mode === 'hash';
+    let view;
+    const location = () =>
+      hash ? view.location.hash.slice(1) || '/' : view.location.pathname;
+    const dispatch = () => {
+      const path = location();
+      routing.routes.find(([match, handler]) => {
+        const params = match(path);
+        if (params) handler(params, void 0, `/route${path}`);
+        return params;
+      });
+      return state;
+    };
+    const go = (url, replace) => {
+      if (!view || url === location()) return;
+      view.history[replace ? 'replaceState' : 'pushState'](
+        null,
+        '',
+        hash ? `#${url}` : url
+      );
+    };
+    routing.navigate = (url, { replace = false } = {}) => {
+      if (!view)
+        throw new Error(
+          'dom-circuit: navigate requires an attached circuit or router.window'
+        );
+      go(url, replace);
+      return dispatch();
+    };
+
+    // listen to the window of the mount element, once there is one
+    const listen = (mount) => {
+      view =
+        config.router.window ||
+        (mount && (mount.ownerDocument || mount).defaultView);
+      if (!view)
+        throw new Error(
+          'dom-circuit: router found no window, pass it as router.window'
+        );
+      const type = hash ? 'hashchange' : 'popstate';
+      view.addEventListener(type, dispatch);
+      disposers.push(() => view.removeEventListener(type, dispatch));
+      dispatch();
+    };
+
+    const reflected = Object.entries(reflect).map(([path, entry]) => {
+      const { url, replace } =
+        typeof entry === 'function' ? { url: entry } : entry;
+      return { path, url, replace, value: select(state, path) };
+    });
+    observers.push((state) =>
+      reflected.forEach((entry) => {
+        const value = select(state, entry.path);
+        if (value === entry.value) return;
+        entry.value = value;
+        const url = entry.url(value, state);
+        if (typeof url === 'string') go(url, entry.replace);
+      })
+    );
+    if (config.headless && !config.router.window)
+      attachers.push((mount) => listen(mount[0]));
+    else
+      listen(
+        [].concat(
+          config.mount || (typeof document === 'undefined' ? [] : document)
+        )[0]
+      );
+  }
+
+  // share state changes on chosen paths with other circuits, as in tabs
+  if (config.sync) {
+    const {
+      name = 'dom-circuit',
+      channel = new globalThis.BroadcastChannel(name),
+      paths = ['/'],
+      merge = 'lww',
+    } = config.sync;
+    const source = Math.random().toString(36).slice(2);
+    const entries = paths.map((path) => ({
+      path,
+      value: select(state, path),
+      time: 0,
+    }));
+    let receiving = false;
+    observers.push((state) => {
+      if (receiving) return;
+      entries.forEach((entry) => {
+        const value = select(state, entry.path);
+        if (value === entry.value) return;
+        Object.assign(entry, { value, time: Date.now() });
+        channel.postMessage({
+          path: entry.path,
+          value,
+          time: entry.time,
+          source,
+        });
+      });
+    });
+    const receive = ({ data = {} }) => {
+      const entry = entries.find(({ path }) => path === data.path);
+      if (!entry || data.source === source || disposed) return;
+      const value =
+        typeof merge === 'function'
+          ? merge(entry.value, data.value, data.path)
+          : data.time > entry.time ||
+            (data.time === entry.time && data.source > source)
+          ? data.value
+          : entry.value;
+      if (value === entry.value) return;
+      Object.assign(entry, { value, time: Math.max(entry.time, data.time) });
+      const next = assoc(state, keys(data.path), value);
+      receiving = true;
+      try {
+        circuit[_STATE](next);
+        propagate(next, false, '', '/sync');
+      } finally {
+        receiving = false;
+      }
+    };
+    channel.addEventListener('message', receive);
+    disposers.push(() => {
+      channel.removeEventListener('message', receive);
+      if (!config.sync.channel) channel.close();
+    });
+  }
+
+  // reduce signals forwarded from the main thread and send back state changes
+  if (config.serve) {
+    const port = config.serve;
+    // handlers by circuit key path, as aliased signals can share an id
+    const index = (circuit, path = '', acc = {}) =>
+      Object.entries(circuit).reduce(
+        (acc, [key, handler]) =>
+          typeof handler === 'function' && _ID in handler
+            ? index(handler, `${path}/${key}`, {
+                ...acc,
+                [`${path}/${key}`]: handler,
+              })
+            : acc,
+        Object.entries(circuit[_ROWS] || {}).reduce(
+          (acc, [key, row]) => ({ ...acc, [`${path}/${key}`]: row }),
+          acc
+        )
+      );
+    const targets = index(circuit);
+    const receive = ({ data = {} }) => {
+      const handler = data.type === 'signal' && targets[data.path];
+      if (handler) handler(data.value);
+    };
+    const post = (state, signal) =>
+      port.postMessage({ type: 'state', state, signal });
+    observers.push(post);
+    port.addEventListener('message', receive);
+    if (port.start) port.start();
+    disposers.push(() => port.removeEventListener('message', receive));
+    post(state, '/');
+  }
+
+  // apply state changes and errors sent back from the worker
+  if (config.worker) {
+    const port = config.worker;
+    const receive = ({ data = {} }) => {
+      if (disposed) return;
+      if (data.type === 'error') return escalate(data.error, data.signal);
+      if (data.type !== 'state') return;
+      circuit[_STATE](data.state);
+      propagate(data.state, false, '', data.signal);
+    };
+    port.addEventListener('message', receive);
+    if (port.start) port.start();
+    disposers.push(() => port.removeEventListener('message', receive));
+  }
+
+  // root state history
+  if (config.history) {
+    const { depth = 100 } = config.history;
+    const past = [{ signal: '/', state }];
+    const future = [];
+    let restoring = false;
+    const restore = ({ state: next }, signal) => {
+      restoring = true;
+      try {
+        circuit[_STATE](next);
+        return propagate(next, false, '', signal);
+      } finally {
+        restoring = false;
+      }
+    };
+    observers.push((state, signal) => {
+      if (restoring || state === past[past.length - 1].state) return;
+      past.push({ signal, state });
+      if (past.length > depth + 1) past.shift();
+      future.length = 0;
+    });
+    expose(circuit, {
+      undo: {
+        value: () =>
+          past.length > 1
+            ? (future.unshift(past.pop()),
+              restore(past[past.length - 1], '/undo'))
+            : state,
+      },
+      redo: {
+        value: () =>
+          future.length
+            ? (past.push(future.shift()),
+              restore(past[past.length - 1], '/redo'))
+            : state,
+      },
+      history: { get: () => ({ past: [...past], future: [...future] }) },
+    });
+  }
+
+  return circuit;
 };
 
 export default build;
 
+// storage adapters for the persist option
+const webStorage = (store) => ({
+  get: (key) => {
+    const value = store.getItem(key);
+    return value === null ? void 0 : JSON.parse(value);
+  },
+  set: (key, value) => store.setItem(key, JSON.stringify(value)),
+});
+export const storage = {
+  local: (store = globalThis.localStorage) => webStorage(store),
+  session: (store = globalThis.sessionStorage) => webStorage(store),
+  memory: (store = new Map()) => ({
+    get: (key) => store.get(key),
+    set: (key, value) => store.set(key, value),
+  }),
+};
+
+// register a custom element that mounts a circuit in its shadow root
+export const defineCircuitElement = (
+  name,
+  signals,
+  {
+    registry = globalThis.customElements,
+    base = globalThis.HTMLElement,
+    template,
+    shadow = { mode: 'open' },
+    attributes = [],
+    events = {},
+    terminal,
+    ...config
+  } = {}
+) => {
+  // attributes map to signal paths, by default the camel cased name at root
+  const observed = Array.isArray(attributes)
+    ? attributes.reduce(
+        (acc, name) => ({
+          ...acc,
+          [name]: `/${name.replace(/-(\w)/g, (_, c) => c.toUpperCase())}`,
+        }),
+        {}
+      )
+    : attributes;
+  // disconnected elements keep their state for the next connection
+  const saved = new WeakMap();
+  const CircuitElement = class extends base {
+    static get observedAttributes() {
+      return Object.keys(observed);
+    }
+    connectedCallback() {
+      const root = this.shadowRoot || this.attachShadow(shadow);
+      if (template && !root.firstChild) root.innerHTML = template;
+      const { CustomEvent } = (this.ownerDocument || root.ownerDocument)
+        .defaultView;
+      const emit = (type, detail) =>
+        this.dispatchEvent(
+          new CustomEvent(type, { detail, bubbles: true, composed: true })
+        );
+      this.circuit = build(signals, {
+        ...config,
+        state: saved.has(this) ? saved.get(this) : config.state,
+        mount: root,
+        terminal: (state, signal, ...rest) => {
+          if (terminal) terminal.call(this, state, signal, ...rest);
+          emit('statechange', { state, signal });
+        },
+      });
+      Object.entries(events).forEach(([path, type]) =>
+        this.circuit[_SUBSCRIBE](path, (value, previous, signal) =>
+          emit(type, { value, previous, signal })
+        )
+      );
+      Object.keys(observed).forEach(
+        (name) =>
+          this.hasAttribute(name) &&
+          this.attributeChangedCallback(name, null, this.getAttribute(name))
+      );
+    }
+    disconnectedCallback() {
+      if (!this.circuit) return;
+      saved.set(this, this.circuit.state);
+      this.circuit[_DISPOSE]();
+      this.circuit = void 0;
+    }
+    attributeChangedCallback(name, previous, value) {
+      if (!this.circuit || !observed[name]) return;
+      keys(observed[name]).reduce((acc, key) => acc[key], this.circuit)(value);
+    }
+  };
+  registry.define(name, CircuitElement);
+  return CircuitElement;
+};
+
 const document = globalThis.document;
-const optimisticQuery = (e, s) => {
-  const nl =
-    [
-      (/[#\.]/.test(s[0]) ? [''] : ['.', '#', '']).reduce(
-        (acc, q) => (acc.length ? acc : e.querySelectorAll(q + s)),
+const rootOf = (circuit) => (circuit[_BASE] ? rootOf(circuit[_BASE]) : circuit);
+const select = (state, path) =>
+  keys(path).reduce((acc, key) => (acc == null ? void 0 : acc[key]), state);
+const keys = (path) => path.split('/').filter(Boolean);
+const assoc = (state = {}, [key, ...tail], value) => {
+  if (!key) return value;
+  const next = { ...state, [key]: assoc(state[key], tail, value) };
+  if (next[key] === void 0) delete next[key];
+  return next;
+};
+const isObject = (value) => !!value && value.constructor === Object;
+const merge = (state, value) =>
+  isObject(state) && isObject(value)
+    ? Object.entries(value).reduce(
+        (acc, [key, value]) => ({ ...acc, [key]: merge(acc[key], value) }),
+        state
+      )
+    : value === void 0
+    ? state
+    : value;
+// merge stored state into state that may have changed since initial state
+const hydrate = (initial, state, stored) =>
+  state === initial
+    ? merge(state, stored)
+    : isObject(state) && isObject(stored)
+    ? Object.entries(stored).reduce(
+        (acc, [key, value]) => ({
+          ...acc,
+          [key]: hydrate(
+            isObject(initial) ? initial[key] : void 0,
+            acc[key],
+            value
+          ),
+        }),
+        state
+      )
+    : state;
+const persistence = ({
+  adapter,
+  key = 'dom-circuit',
+  include,
+  exclude = [],
+  version = 0,
+  migrate,
+  throttle = 100,
+}) => {
+  const pick = (state) =>
+    exclude.reduce(
+      (acc, path) => assoc(acc, keys(path), void 0),
+      include
+        ? include.reduce(
+            (acc, path) => assoc(acc, keys(path), select(state, path)),
+            {}
+          )
+        : state
+    );
+  const restore = (record) =>
+    !record
+      ? void 0
+      : record.version === version
+      ? record.state
+      : migrate
+      ? pick(migrate(record.state, record.version))
+      : void 0;
+  return {
+    throttle,
+    read: () => {
+      const record = adapter.get(key);
+      return record instanceof Promise ? record.then(restore) : restore(record);
+    },
+    write: (state) => adapter.set(key, { version, state: pick(state) }),
+  };
+};
+// add root methods without replacing signals of the same name
+const expose = (circuit, methods) =>
+  Object.entries(methods).forEach(
+    ([name, descriptor]) =>
+      !(name in circuit) &&
+      Object.defineProperty(circuit, name, {
+        enumerable: true,
+        configurable: true,
+        ...(descriptor.get ? {} : { writable: true }),
+        ...descriptor,
+      })
+  );
+// first unused layer name, as removed layers leave gaps
+const vacant = (junctions, layer) =>
+  junctions[layer] ? vacant(junctions, layer + 1) : layer;
+const unlink = (list, entry) =>
+  list.includes(entry) && list.splice(list.indexOf(entry), 1);
+const queries = (s) =>
+  (/[#\.]/.test(s[0]) ? [''] : ['.', '#', '']).map((q) => q + s);
+// querySelectorAll, walking open shadow roots when piercing
+const all = (root, q, pierce) =>
+  pierce
+    ? [...root.querySelectorAll('*')].reduce(
+        (acc, el) =>
+          el.shadowRoot ? [...acc, ...all(el.shadowRoot, q, pierce)] : acc,
+        [...root.querySelectorAll(q)]
+      )
+    : [...root.querySelectorAll(q)];
+const optimistic = (root, s, pierce) =>
+  queries(s).reduce((acc, q) => (acc.length ? acc : all(root, q, pierce)), []);
+// host >>> content selectors continue in each host's open shadow root
+const resolve = (e, s, pierce) => {
+  const [host, ...shadows] = s.split(/\s*>>>\s*/);
+  const found = optimistic(e, host, pierce);
+  return shadows.reduce(
+    (hosts, s) =>
+      hosts.reduce(
+        (acc, el) =>
+          el.shadowRoot
+            ? [...acc, ...optimistic(el.shadowRoot, s, pierce)]
+            : acc,
         []
       ),
-    ].find((nl) => nl.length) || document.querySelectorAll(s);
+    found.length ? found : all(e.ownerDocument || e, host, pierce)
+  );
+};
+const optimisticQuery = (e, s, pierce) => {
+  const nl = resolve(e, s, pierce);
   return nl.length ? nl : [e];
 };
+// circuit paths for error reporting
+const paths = (circuit, prefix = '') =>
+  Object.entries(circuit).reduce(
+    (acc, [key, handler]) =>
+      typeof handler === 'function' && _BASE in handler
+        ? [...acc, `${prefix}/${key}`, ...paths(handler, `${prefix}/${key}`)]
+        : acc,
+    []
+  );
+const absolute = (from, path) =>
+  (path[0] === '/' ? path : `${from}/${path}`)
+    .split('/')
+    .reduce(
+      (acc, key) =>
+        key === '..'
+          ? acc.slice(0, -1)
+          : !key || key === '.'
+          ? acc
+          : [...acc, key],
+      ['']
+    )
+    .join('/') || '/';
+const distance = (a, b) =>
+  [...b].reduce(
+    (row, cb, j) =>
+      [...a].reduce(
+        (next, ca, i) => [
+          ...next,
+          Math.min(next[i] + 1, row[i + 1] + 1, row[i] + (ca === cb ? 0 : 1)),
+        ],
+        [j + 1]
+      ),
+    [...Array(a.length + 1).keys()]
+  )[a.length];
+const signalError = (signal, path, known) => {
+  const [closest] = known.sort((a, b) => distance(path, a) - distance(path, b));
+  return Object.assign(
+    new Error(
+      `dom-circuit: signal '${signal}' resolves to unknown path '${path}'` +
+        (closest ? `, closest path is '${closest}'` : '')
+    ),
+    { signal, path, closest }
+  );
+};
+
+// debounce or throttle fn calls on leading and / or trailing edges
+// signal keys as in alias:selector$event(args).modifier(arg)_
+const parse = (signal) => {
+  const [, , alias, , _se, asMap] = signal.match(/^(([\w]+):)?(\s*(.*?))(_)?$/);
+  const [selector, trigger = ''] = _se.split('$');
+  const deferring = /^[\/\.]/.test(trigger);
+  // event modifiers follow the event name as in $submit.prevent.once
+  const [head, ...modifiers] = deferring
+    ? [trigger]
+    : trigger.split(/\.(?![^(]*\))/);
+  // event arguments follow the event name as in $computed(/items)
+  const [, event = head, args] = head.match(/^(\w+)\((.*)\)$/) || [];
+  const modifier = modifiers.reduce((acc, m) => {
+    const [, name, arg = true] = m.match(/^(\w+)(?:\((.*)\))?$/) || [];
+    return name ? { ...acc, [name]: arg } : acc;
+  }, {});
+  // normalise the signal address for state, from the shadow content of
+  // host >>> content selectors
+  const address = selector
+    .split(/\s*>>>\s*/)
+    .pop()
+    .replace(/[#\.\-\[\]\(\)\"\=\^\&]/g, '');
+  return { alias, selector, address, deferring, event, args, modifier, asMap };
+};
+const timed = (fn, { debounce, throttle, leading, trailing }) => {
+  const wait = +(debounce || throttle);
+  const [lead, trail] =
+    leading || trailing ? [leading, trailing] : [!debounce, true];
+  let timer, pending;
+  const invoke = () => {
+    const [ctx, args] = pending;
+    pending = undefined;
+    fn.apply(ctx, args);
+  };
+  const expire = () => {
+    timer = undefined;
+    if (pending && trail) {
+      invoke();
+      if (throttle) timer = setTimeout(expire, wait);
+    }
+    pending = undefined;
+  };
+  const call = function (...args) {
+    pending = [this, args];
+    if (!timer && lead) invoke();
+    if (debounce) clearTimeout(timer);
+    if (debounce || !timer) timer = setTimeout(expire, wait);
+  };
+  call.cancel = () => {
+    clearTimeout(timer);
+    timer = pending = undefined;
+  };
+  return call;
+};
+// latest wins, queue or drop concurrent async reductions
+const concurrent = (policy) => {
+  let busy, controller;
+  return (reduce, acc, current) => {
+    if (policy === 'drop' && busy) return;
+    if (policy === 'latest') {
+      if (controller) controller.abort();
+      controller = new AbortController();
+    }
+    const { signal } = controller || {};
+    const result =
+      policy === 'queue' && busy
+        ? busy.then(() => reduce(current()))
+        : reduce(acc, signal);
+    if (!(result instanceof Promise)) return result;
+
+    const settled = result
+      .then(
+        () => {},
+        () => {}
+      )
+      .then(() => {
+        if (busy === settled) busy = void 0;
+      });
+    busy = settled;
+    return signal
+      ? result.then(
+          (state) => (signal.aborted ? void 0 : state),
+          (error) => {
+            if (!signal.aborted) throw error;
+          }
+        )
+      : result;
+  };
+};
+// named form controls, as collected by FormData
+const fields = (el) =>
+  [...(el.elements || el.querySelectorAll('[name]'))].filter(
+    ({ name, type, disabled }) =>
+      name && !disabled && !/^(submit|button|reset|image)$/.test(type)
+  );
+const fieldValue = (control) => {
+  const { type, value } = control;
+  return type === 'number' || type === 'range'
+    ? value === ''
+      ? void 0
+      : +value
+    : type === 'select-multiple'
+    ? [...control.options].filter((o) => o.selected).map((o) => o.value)
+    : type === 'file'
+    ? [...control.files]
+    : value;
+};
+const formValues = (el) => {
+  const list = fields(el);
+  return list.reduce((acc, control) => {
+    const { name, type, checked, value } = control;
+    const group = list.filter((c) => c.name === name).length > 1;
+    return type === 'checkbox'
+      ? {
+          ...acc,
+          [name]: group
+            ? [...(acc[name] || []), ...(checked ? [value] : [])]
+            : checked,
+        }
+      : type === 'radio'
+      ? checked || !(name in acc)
+        ? { ...acc, [name]: checked ? value : void 0 }
+        : acc
+      : { ...acc, [name]: fieldValue(control) };
+  }, {});
+};
+const writeForm = (el, values) =>
+  fields(el).forEach((control) => {
+    const { name, type } = control;
+    const value = values[name];
+    if (!(name in values) || type === 'file') return;
+    if (type === 'checkbox')
+      control.checked = Array.isArray(value)
+        ? value.includes(control.value)
+        : !!value;
+    else if (type === 'radio') control.checked = control.value === `${value}`;
+    else if (type === 'select-multiple')
+      [...control.options].forEach(
+        (o) => (o.selected = [].concat(value).includes(o.value))
+      );
+    else control.value = value == null ? '' : value;
+  });
+const sameValues = (a, b) =>
+  !!a &&
+  !!b &&
+  Object.keys({ ...a, ...b }).every((key) =>
+    Array.isArray(a[key]) && Array.isArray(b[key])
+      ? a[key].length === b[key].length &&
+        a[key].every((value, i) => value === b[key][i])
+      : a[key] === b[key]
+  );
+
+// keyed list rows under a container, moved along the longest stable run
+const listing = (
+  container,
+  { key = (item, index) => index, template, update, signals = {} },
+  dispatch
+) => {
+  let rows = new Map();
+  let last;
+  // template selectors look in the container's shadow root first
+  const find = (selector) => {
+    const root = container.getRootNode ? container.getRootNode() : container;
+    return (
+      (root.querySelector && root.querySelector(selector)) ||
+      (container.ownerDocument || container).querySelector(selector)
+    );
+  };
+  const create = (item, index) => {
+    const row = {
+      el:
+        typeof template === 'function'
+          ? template(item, index)
+          : clone(typeof template === 'string' ? find(template) : template),
+    };
+    row.unbind = Object.entries(signals).reduce(
+      (unbind, [signal, reducer]) => {
+        const { alias, selector, event, modifier } = parse(signal);
+        const { capture = false, once = false, passive = false } = modifier;
+        const options = { capture, once, passive };
+        const reduce = (e) => {
+          const { el, item, index } = row;
+          dispatch(
+            reducer,
+            { el, item, index, event: e },
+            alias || selector || event
+          );
+        };
+        const timer =
+          modifier.debounce || modifier.throttle
+            ? timed(reduce, modifier)
+            : reduce;
+        const listener = (e) => {
+          if (modifier.prevent) e.preventDefault();
+          if (modifier.stop) e.stopPropagation();
+          timer(e);
+        };
+        const els = selector
+          ? [...row.el.querySelectorAll(queries(selector).join(','))]
+          : [row.el];
+        els.forEach((el) => el.addEventListener(event, listener, options));
+        return () => {
+          unbind();
+          if (timer.cancel) timer.cancel();
+          els.forEach((el) => el.removeEventListener(event, listener, options));
+        };
+      },
+      () => {}
+    );
+    return row;
+  };
+  const render = (items = []) => {
+    if (items === last) return;
+    last = items;
+    const next = new Map();
+    items.forEach((item, index) => {
+      const id = key(item, index);
+      const row = rows.get(id) || create(item, index);
+      if (row.item !== item || row.index !== index) {
+        Object.assign(row, { item, index });
+        if (update) update(row.el, item, index);
+      }
+      next.set(id, row);
+    });
+    rows.forEach((row, key) => {
+      if (next.has(key)) return;
+      row.unbind();
+      container.removeChild(row.el);
+    });
+    rows = next;
+    // rows outside the longest run in DOM order are moved or inserted
+    const order = [...rows.values()];
+    const position = new Map(
+      [...container.children].map((el, index) => [el, index])
+    );
+    const stay = increasing(
+      order.map(({ el }) => (position.has(el) ? position.get(el) : -1))
+    );
+    order.reduceRight((anchor, { el }, index) => {
+      if (!stay.has(index)) container.insertBefore(el, anchor);
+      return el;
+    }, null);
+  };
+  render.dispose = () => {
+    rows.forEach((row) => {
+      row.unbind();
+      if (row.el.parentNode === container) container.removeChild(row.el);
+    });
+    rows = new Map();
+    last = void 0;
+  };
+  return render;
+};
+const clone = (template) =>
+  (template.content ? template.content.firstElementChild : template).cloneNode(
+    true
+  );
+// indexes of the longest increasing run of positions, skipping -1
+const increasing = (list) => {
+  const tails = [];
+  const previous = [];
+  list.forEach((value, index) => {
+    if (value < 0) return;
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (list[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[index] = low ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+  const stay = new Set();
+  let index = tails.length ? tails[tails.length - 1] : -1;
+  while (index >= 0) {
+    stay.add(index);
+    index = previous[index];
+  }
+  return stay;
+};
+
+// match a route pattern as in /items/:id, resolving to named params
+const pattern = (path = '') => {
+  const names = [];
+  const source = path
+    .replace(/\/$/, '')
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+  const regex = new RegExp(path ? `^${source}/?$` : '');
+  return (location) => {
+    const match = location.match(regex);
+    return (
+      match &&
+      names.reduce(
+        (acc, name, i) => ({
+          ...acc,
+          [name]: decodeURIComponent(match[i + 1]),
+        }),
+        {}
+      )
+    );
+  };
+};
+
+// main thread blueprint: DOM and plain signals forward to the worker, while
+// state, init, error, deferred and route reducers only run in the worker
+const forward = (signals, post, prefix = '') =>
+  Object.entries(signals).reduce((acc, [signal, reducer]) => {
+    const { alias, selector, address, deferring, event } = parse(signal);
+    if (
+      deferring ||
+      ['init', 'state', 'route'].includes(event) ||
+      (event === 'error' && !selector)
+    )
+      return acc;
+    // the circuit key path tells aliased signals on one selector apart
+    const path = `${prefix}/${alias || address || event}`;
+    return {
+      ...acc,
+      [signal]:
+        typeof reducer !== 'function'
+          ? event === 'list'
+            ? { ...reducer, signals: forwardRows(reducer.signals, post, path) }
+            : forward(reducer, post, path)
+          : event === 'computed'
+          ? reducer
+          : function (...args) {
+              // map reducers are called with the value alone
+              const value = snapshot(args[args.length - 1]);
+              post({ type: 'signal', path, value });
+            },
+    };
+  }, {});
+// list row signals forward the row index and event to the worker
+const forwardRows = (signals = {}, post, path) =>
+  Object.keys(signals).reduce((acc, signal) => {
+    const { alias, selector, event } = parse(signal);
+    const name = alias || selector || event;
+    return {
+      ...acc,
+      [signal]: function (items, event) {
+        post({
+          type: 'signal',
+          path: `${path}$list/${name}`,
+          value: { index: this.index, event: snapshot(event) },
+        });
+      },
+    };
+  }, {});
+// structured clone friendly copy of DOM events
+const snapshot = (value) =>
+  value && typeof value.preventDefault === 'function'
+    ? {
+        type: value.type,
+        key: value.key,
+        target: value.target && {
+          id: value.target.id,
+          name: value.target.name,
+          value: value.target.value,
+          checked: value.target.checked,
+          dataset: { ...value.target.dataset },
+        },
+      }
+    : value;
+
+// terminal flush schedulers for the schedule option
+const scheduling = (schedule) =>
+  typeof schedule === 'function'
+    ? schedule
+    : schedule === 'microtask'
+    ? (flush) => Promise.resolve().then(flush)
+    : schedule === 'raf'
+    ? (flush) =>
+        (globalThis.requestAnimationFrame || ((fn) => setTimeout(fn, 16)))(
+          flush
+        )
+    : void 0;
+const observe = (el, callback) =>
+  new (el.ownerDocument || el).defaultView.MutationObserver(callback);
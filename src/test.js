@@ -1,6 +1,14 @@
 const esmRequire = require('esm')(module);
 
-const { default: circuit } = esmRequire('./index.js');
+const {
+  default: circuit,
+  storage,
+  defineCircuitElement,
+} = esmRequire('./index.js');
+
+// esm evaluates src in its own realm, without web platform globals
+const realm = circuit.constructor('return globalThis')();
+realm.AbortController = realm.AbortController || AbortController;
 
 describe('circuit', () => {
   describe('initialization', () => {
@@ -448,6 +456,95 @@ describe('circuit', () => {
     });
   });
 
+  describe('errors', () => {
+    const error = new Error('failed');
+    const fail = () => {
+      throw error;
+    };
+
+    it('should route reducer errors to $error', () => {
+      const terminal = jest.fn();
+      const $error = jest.fn((state, { error }) => ({
+        ...state,
+        error: error.message,
+      }));
+      const cct = circuit({ x: fail, $error }, { state: { x: 1 }, terminal });
+      cct.x(2);
+      expect($error).toHaveBeenCalledWith({ x: 1 }, { error, signal: '/x' });
+      expect(cct.state).toEqual({ x: 1, error: 'failed' });
+      expect(terminal).toHaveBeenCalledWith(
+        { x: 1, error: 'failed' },
+        '/x',
+        false,
+        false
+      );
+    });
+    it('should handle errors in nested circuits', () => {
+      const cct = circuit({
+        items: {
+          add: fail,
+          $error: (items, { signal }) => ({ ...items, failed: signal }),
+        },
+      });
+      cct.items.add(1);
+      expect(cct.state).toEqual({ items: { failed: '/items/add' } });
+    });
+    it('should bubble unhandled errors to the parent circuit', () => {
+      const $error = jest.fn();
+      const cct = circuit({ items: { add: fail }, $error });
+      cct.items.add(1);
+      expect($error).toHaveBeenCalledWith({}, { error, signal: '/items/add' });
+    });
+    it('should bubble errors thrown by $error', () => {
+      const onError = jest.fn();
+      const cct = circuit(
+        { items: { add: fail, $error: fail } },
+        { onError, state: { items: [] } }
+      );
+      cct.items.add(1);
+      expect(onError).toHaveBeenCalledWith(error, '/items/add', {
+        items: [],
+      });
+    });
+    it('should route rejected promises to $error', async () => {
+      const cct = circuit({
+        x: () => Promise.reject(error),
+        $error: (state, { error }) => ({ ...state, error: error.message }),
+      });
+      cct.x(1);
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(cct.state).toEqual({ error: 'failed' });
+    });
+    it('should throw unhandled errors', () => {
+      expect(() => circuit({ x: fail }).x(1)).toThrow(error);
+    });
+    it('should bind DOM error events for selector $error signals', () => {
+      const mount = document.createElement('main');
+      mount.innerHTML = '<img class="photo" />';
+      const broken = jest.fn((s) => ({ ...s, broken: true }));
+      const cct = circuit({ photo$error: broken }, { mount });
+      mount.querySelector('.photo').dispatchEvent(new Event('error'));
+      expect(broken).toHaveBeenCalledTimes(1);
+      expect(cct.state).toEqual({ broken: true });
+    });
+    it('should route $init errors to onError', () => {
+      const onError = jest.fn();
+      expect(() => circuit({ $init: fail }, { onError })).not.toThrow();
+      expect(onError).toHaveBeenCalledWith(error, '/init', {});
+    });
+    it('should route rejected $init promises to $error', async () => {
+      const cct = circuit({
+        $error: (state, { error, signal }) => ({
+          error: error.message,
+          signal,
+        }),
+        $init: () => Promise.reject(error),
+      });
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(cct.state).toEqual({ error: 'failed', signal: '/init' });
+    });
+  });
+
   describe('async', () => {
     it('should resolve at state change', async () => {
       const cct = circuit({
@@ -481,6 +578,954 @@ describe('circuit', () => {
     });
   });
 
+  describe('validation', () => {
+    it('should report unknown deferred paths', () => {
+      expect(() =>
+        circuit({ items: { update: jest.fn() }, 'd$/itmes/update': jest.fn() })
+      ).toThrow(
+        "signal 'd$/itmes/update' resolves to unknown path '/itmes/update', closest path is '/items/update'"
+      );
+    });
+    it('should report unknown signal paths', () => {
+      const z = function () {
+        this.signal('../../a/c', 123);
+      };
+      const cct = circuit({ x: { y: { z } }, a: { b: { c: jest.fn() } } });
+      expect(() => cct.x.y.z()).toThrow(
+        expect.objectContaining({
+          signal: 'z',
+          path: '/a/c',
+          closest: '/a/b',
+        })
+      );
+    });
+  });
+
+  describe('subscribe', () => {
+    const blueprint = () => ({
+      items: { add: (items, item) => [...items, item] },
+      header: { title: (s, title) => ({ ...s, title }) },
+    });
+
+    it('should notify subscribers of path state change', () => {
+      const listener = jest.fn();
+      const cct = circuit(blueprint(), { state: { items: [] } });
+      cct.subscribe('/items', listener);
+      cct.items.add(1);
+      expect(listener).toHaveBeenCalledWith([1], [], '/items/add');
+    });
+    it('should not notify subscribers of unchanged paths', () => {
+      const listener = jest.fn();
+      const cct = circuit(blueprint(), { state: { items: [] } });
+      cct.subscribe('/items', listener);
+      cct.header.title('title');
+      expect(listener).not.toHaveBeenCalled();
+    });
+    it('should resolve relative paths', () => {
+      const listener = jest.fn();
+      const cct = circuit(blueprint(), { state: { items: [] } });
+      cct.header.subscribe('../items', listener);
+      cct.items.add(1);
+      expect(listener).toHaveBeenCalled();
+    });
+    it('should unsubscribe', () => {
+      const listener = jest.fn();
+      const cct = circuit(blueprint(), { state: { items: [] } });
+      const unsubscribe = cct.subscribe('/items', listener);
+      unsubscribe();
+      cct.items.add(1);
+      expect(listener).not.toHaveBeenCalled();
+    });
+    it('should subscribe to layered paths', () => {
+      const listener = jest.fn();
+      const cct = circuit(blueprint(), {
+        layer: 'data',
+        state: { items: [] },
+      });
+      const lct = cct.layer({ view: jest.fn() });
+      lct.subscribe('/data/items', listener);
+      cct.items.add(1);
+      expect(listener).toHaveBeenCalledWith([1], [], '/items/add');
+    });
+    it('should reject unknown paths', () => {
+      const cct = circuit(blueprint());
+      expect(() => cct.subscribe('/itmes', jest.fn())).toThrow(
+        "unknown path '/itmes', closest path is '/items'"
+      );
+    });
+  });
+
+  describe('trace', () => {
+    const steps = (onTrace) =>
+      onTrace.mock.calls.map(([{ step, id, signal }]) => [step, id, signal]);
+
+    it('should trace reducers and propagation', () => {
+      const onTrace = jest.fn();
+      const y = (s, y) => ({ ...s, y });
+      const d = (s, d) => ({ ...s, d });
+      const cct = circuit({ x: { y }, 'd$/x': d }, { onTrace });
+      cct.x.y(1);
+      expect(steps(onTrace)).toEqual([
+        ['reduce', '/x/y', '/x/y'],
+        ['propagate', '/x/y', '/x/y'],
+        ['reduce', '/d', '/x/y'],
+        ['deferred', '/d', '/x/y'],
+        ['propagate', '/x', '/x/y'],
+      ]);
+      expect(onTrace.mock.calls[0][0]).toEqual(
+        expect.objectContaining({ input: {}, value: 1, output: { y: 1 } })
+      );
+    });
+    it('should trace junctions', () => {
+      const onTrace = jest.fn();
+      const x_ = (value) => value + 1;
+      circuit({ x_ }, { onTrace }).layer({ x_ }).x(1);
+      expect(steps(onTrace)).toContainEqual(['junction', '/x', '/x']);
+    });
+    it('should trace async hops', async () => {
+      const onTrace = jest.fn();
+      const cct = circuit(
+        { x: (s, x) => Promise.resolve({ ...s, x }) },
+        { onTrace }
+      );
+      await cct.x(1);
+      expect(
+        onTrace.mock.calls.map(([{ step, hops }]) => [step, hops])
+      ).toEqual([
+        ['reduce', undefined],
+        ['async', 0],
+        ['propagate', 1],
+      ]);
+    });
+  });
+
+  describe('history', () => {
+    const blueprint = {
+      x: { y: (s, y) => ({ ...s, y }) },
+    };
+
+    it('should record state changes with their signal', () => {
+      const cct = circuit(blueprint, { history: true });
+      cct.x.y(1);
+      expect(cct.history).toEqual({
+        past: [
+          { signal: '/', state: {} },
+          { signal: '/x/y', state: { x: { y: 1 } } },
+        ],
+        future: [],
+      });
+    });
+    it('should undo and redo state changes', () => {
+      const cct = circuit(blueprint, { history: true });
+      cct.x.y(1);
+      cct.x.y(2);
+      cct.undo();
+      expect(cct.state).toEqual({ x: { y: 1 } });
+      cct.undo();
+      expect(cct.state).toEqual({});
+      cct.redo();
+      expect(cct.state).toEqual({ x: { y: 1 } });
+      expect(cct.history.future).toHaveLength(1);
+    });
+    it('should propagate restored state to terminal and $state', () => {
+      const terminal = jest.fn();
+      const $state = jest.fn();
+      const cct = circuit(
+        { ...blueprint, $state },
+        { history: true, terminal }
+      );
+      cct.x.y(1);
+      cct.undo();
+      expect(terminal).toHaveBeenLastCalledWith({}, '/undo', false, false);
+      expect($state).toHaveBeenLastCalledWith({}, undefined);
+    });
+    it('should restore nested circuit state', () => {
+      const z = (s, z) => ({ ...s, z });
+      const cct = circuit({ x: { y: blueprint.x.y, z } }, { history: true });
+      cct.x.y(1);
+      cct.x.y(2);
+      cct.undo();
+      cct.x.z(3);
+      expect(cct.state).toEqual({ x: { y: 1, z: 3 } });
+    });
+    it('should clear redo history on state change', () => {
+      const cct = circuit(blueprint, { history: true });
+      cct.x.y(1);
+      cct.undo();
+      cct.x.y(2);
+      expect(cct.redo()).toEqual({ x: { y: 2 } });
+    });
+    it('should limit history depth', () => {
+      const cct = circuit(blueprint, { history: { depth: 2 } });
+      [1, 2, 3].forEach((y) => cct.x.y(y));
+      expect(cct.history.past.map(({ signal }) => signal)).toEqual([
+        '/x/y',
+        '/x/y',
+        '/x/y',
+      ]);
+    });
+  });
+
+  describe('persist', () => {
+    const blueprint = {
+      items: { add: (items, item) => [...items, item] },
+      counts: { total: (s, total) => ({ ...s, total }) },
+    };
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('should hydrate state from storage', () => {
+      const store = new Map([['todo', { version: 0, state: { items: [1] } }]]);
+      const cct = circuit(blueprint, {
+        state: { items: [], counts: {} },
+        persist: { adapter: storage.memory(store), key: 'todo' },
+      });
+      expect(cct.state).toEqual({ items: [1], counts: {} });
+    });
+    it('should throttle writes to storage', () => {
+      const adapter = { get: jest.fn(), set: jest.fn() };
+      const cct = circuit(blueprint, {
+        state: { items: [] },
+        persist: { adapter, throttle: 50 },
+      });
+      cct.items.add(1);
+      cct.items.add(2);
+      expect(adapter.set).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(50);
+      expect(adapter.set).toHaveBeenCalledTimes(1);
+      expect(adapter.set).toHaveBeenCalledWith('dom-circuit', {
+        version: 0,
+        state: { items: [1, 2] },
+      });
+    });
+    it('should include and exclude paths', () => {
+      const store = new Map();
+      const cct = circuit(
+        { ...blueprint, x: (s, x) => ({ ...s, x }) },
+        {
+          state: { items: [], counts: {} },
+          persist: {
+            adapter: storage.memory(store),
+            include: ['/items', '/counts'],
+            exclude: ['/counts/total'],
+          },
+        }
+      );
+      cct.items.add(1);
+      cct.counts.total(1);
+      cct.x(1);
+      cct.dispose();
+      expect(store.get('dom-circuit').state).toEqual({
+        items: [1],
+        counts: {},
+      });
+    });
+    it('should migrate stored state versions', () => {
+      const store = new Map([
+        ['dom-circuit', { version: 1, state: { list: [1] } }],
+      ]);
+      const cct = circuit(blueprint, {
+        state: { items: [] },
+        persist: {
+          adapter: storage.memory(store),
+          version: 2,
+          migrate: ({ list }, version) => version === 1 && { items: list },
+        },
+      });
+      expect(cct.state.items).toEqual([1]);
+    });
+    it('should discard stored state versions without migration', () => {
+      const store = new Map([
+        ['dom-circuit', { version: 1, state: { items: [1] } }],
+      ]);
+      const cct = circuit(blueprint, {
+        state: { items: [] },
+        persist: { adapter: storage.memory(store), version: 2 },
+      });
+      expect(cct.state.items).toEqual([]);
+    });
+    it('should hydrate asynchronously', async () => {
+      const terminal = jest.fn();
+      const adapter = {
+        get: () => Promise.resolve({ version: 0, state: { items: [1] } }),
+        set: jest.fn(),
+      };
+      const cct = circuit(blueprint, {
+        state: { items: [] },
+        persist: { adapter },
+        terminal,
+      });
+      await Promise.resolve().then();
+      expect(terminal).toHaveBeenCalledWith(
+        { items: [1] },
+        '/persist',
+        'state',
+        true
+      );
+      cct.items.add(2);
+      expect(cct.state.items).toEqual([1, 2]);
+    });
+    it('should keep state changed while hydration is pending', async () => {
+      const set = jest.fn();
+      const adapter = {
+        get: () =>
+          Promise.resolve({
+            version: 0,
+            state: { items: [1], counts: { total: 1, done: 1 } },
+          }),
+        set,
+      };
+      const cct = circuit(blueprint, {
+        state: { items: [], counts: {} },
+        persist: { adapter, throttle: 0 },
+      });
+      cct.counts.total(5);
+      jest.runAllTimers();
+      expect(set).not.toHaveBeenCalled();
+      await Promise.resolve().then();
+      expect(cct.state).toEqual({
+        items: [1],
+        counts: { total: 5, done: 1 },
+      });
+      jest.runAllTimers();
+      expect(set).toHaveBeenCalledWith('dom-circuit', {
+        version: 0,
+        state: { items: [1], counts: { total: 5, done: 1 } },
+      });
+    });
+    it('should route hydration errors to onError', async () => {
+      const error = new Error('blocked');
+      const onError = jest.fn();
+      circuit(blueprint, {
+        persist: { adapter: { get: () => Promise.reject(error) } },
+        onError,
+      });
+      await Promise.resolve().then();
+      expect(onError).toHaveBeenCalledWith(error, '/persist', {});
+    });
+    it('should persist through web storage', () => {
+      const adapter = storage.local(window.localStorage);
+      circuit(blueprint, {
+        state: { items: [] },
+        persist: { adapter, key: 'web' },
+      }).items.add(1);
+      jest.runAllTimers();
+      expect(JSON.parse(window.localStorage.getItem('web'))).toEqual({
+        version: 0,
+        state: { items: [1] },
+      });
+      expect(adapter.get('web').state).toEqual({ items: [1] });
+    });
+  });
+
+  describe('computed', () => {
+    const blueprint = (total) => ({
+      items: (s, item) => ({ ...s, items: [...s.items, item] }),
+      filter: (s, filter) => ({ ...s, filter }),
+      'total$computed(/items)': total,
+    });
+
+    it('should derive state from dependency paths', () => {
+      const cct = circuit(
+        blueprint(({ items }) => items.length),
+        { state: { items: [] } }
+      );
+      cct.items('a');
+      expect(cct.state).toEqual({ items: ['a'], total: 1 });
+      expect(cct.total()).toEqual(1);
+    });
+    it('should derive state from paths with underscores', () => {
+      const cct = circuit(
+        {
+          my_items: (s, item) => ({ ...s, my_items: [...s.my_items, item] }),
+          'total$computed(/my_items)': ({ my_items }) => my_items.length,
+        },
+        { state: { my_items: [] } }
+      );
+      cct.my_items('a');
+      expect(cct.state.total).toEqual(1);
+    });
+    it('should only recompute when dependencies change', () => {
+      const total = jest.fn(({ items }) => items.length);
+      const cct = circuit(blueprint(total), { state: { items: [] } });
+      cct.state;
+      cct.filter('x');
+      cct.state;
+      expect(total).toHaveBeenCalledTimes(1);
+      cct.items('a');
+      cct.state;
+      cct.state;
+      expect(total).toHaveBeenCalledTimes(2);
+    });
+    it('should pass computed state to the terminal', () => {
+      const terminal = jest.fn();
+      const cct = circuit(
+        blueprint(({ items }) => items.length),
+        { state: { items: [] }, terminal }
+      );
+      cct.items('a');
+      expect(terminal).toHaveBeenCalledWith(
+        { items: ['a'], total: 1 },
+        '/items',
+        undefined,
+        true
+      );
+    });
+    it('should not store computed state as source state', () => {
+      const adapter = storage.memory();
+      const cct = circuit(
+        blueprint(({ items }) => items.length),
+        {
+          state: { items: [] },
+          history: true,
+          persist: { adapter, throttle: 0 },
+        }
+      );
+      cct.items('a');
+      cct.dispose();
+      expect(cct.history.past[1].state).toEqual({ items: ['a'] });
+      expect(adapter.get('dom-circuit').state).toEqual({ items: ['a'] });
+    });
+    it('should derive nested state from the containing circuit', () => {
+      const cct = circuit(
+        {
+          cart: {
+            items: (s, item) => ({ ...s, items: [...s.items, item] }),
+            'count$computed(./items)': ({ items }) => items.length,
+          },
+        },
+        { state: { cart: { items: [] } } }
+      );
+      cct.cart.items('a');
+      expect(cct.state).toEqual({ cart: { items: ['a'], count: 1 } });
+    });
+    it('should recompute on any circuit state change without dependencies', () => {
+      const cct = circuit({
+        a: (s, a) => ({ ...s, a }),
+        b: (s, b) => ({ ...s, b }),
+        sum$computed: ({ a = 0, b = 0 }) => a + b,
+      });
+      cct.a(1);
+      cct.b(2);
+      expect(cct.state.sum).toEqual(3);
+    });
+    it('should notify subscribers of computed state', () => {
+      const listener = jest.fn();
+      const cct = circuit(
+        blueprint(({ items }) => items.length),
+        { state: { items: [] } }
+      );
+      cct.subscribe('/total', listener);
+      cct.items('a');
+      expect(listener).toHaveBeenCalledWith(1, 0, '/items');
+    });
+  });
+
+  describe('batch', () => {
+    const blueprint = {
+      a: (s, a) => ({ ...s, a }),
+      b: (s, b) => ({ ...s, b }),
+      x: { y: (s, y) => ({ ...s, y }) },
+    };
+
+    it('should propagate batched signals to the terminal once', () => {
+      const terminal = jest.fn();
+      const cct = circuit(blueprint, { terminal });
+      cct.batch(() => {
+        cct.a(1);
+        cct.b(2);
+        cct.x.y(3);
+      });
+      expect(terminal).toHaveBeenCalledTimes(1);
+      expect(terminal).toHaveBeenCalledWith(
+        { a: 1, b: 2, x: { y: 3 } },
+        '/batch',
+        false,
+        false
+      );
+    });
+    it('should call root $state handlers once with the final state', () => {
+      const $state = jest.fn();
+      const cct = circuit({ ...blueprint, $state });
+      cct.batch(() => {
+        cct.a(1);
+        cct.b(2);
+      });
+      expect($state).toHaveBeenCalledTimes(1);
+      expect($state).toHaveBeenCalledWith({ a: 1, b: 2 }, undefined);
+    });
+    it('should call nested $state handlers once with the final state', () => {
+      const terminal = jest.fn();
+      const nested = jest.fn((x) => ({ ...x, total: x.y * 10 }));
+      const $state = jest.fn((state) => ({ ...state, z: state.x.total }));
+      const cct = circuit(
+        {
+          x: { y: (s, y) => ({ ...s, y }), $state: nested },
+          $state,
+        },
+        { terminal }
+      );
+      cct.batch(() => {
+        cct.x.y(1);
+        cct.x.y(2);
+      });
+      expect(nested).toHaveBeenCalledTimes(1);
+      expect(nested).toHaveBeenCalledWith({ y: 2 }, undefined);
+      expect($state).toHaveBeenCalledTimes(1);
+      expect(terminal).toHaveBeenCalledTimes(1);
+      expect(cct.state).toEqual({ x: { y: 2, total: 20 }, z: 20 });
+    });
+    it('should run deferred reducers inside the batch', () => {
+      const terminal = jest.fn();
+      const cct = circuit(
+        {
+          ...blueprint,
+          'd$/a': (s, d) => ({ ...s, d }),
+        },
+        { terminal }
+      );
+      cct.batch(() => {
+        cct.a(1);
+        cct.a(2);
+      });
+      expect(cct.state.d).toEqual(2);
+      expect(terminal).toHaveBeenCalledTimes(1);
+    });
+    it('should flush nested batches with the outer batch', () => {
+      const terminal = jest.fn();
+      const cct = circuit(blueprint, { terminal });
+      cct.batch(() => {
+        cct.a(1);
+        cct.batch(() => cct.b(2));
+        expect(terminal).not.toHaveBeenCalled();
+      });
+      expect(terminal).toHaveBeenCalledTimes(1);
+    });
+    it('should record one history entry per batch', () => {
+      const cct = circuit(blueprint, { history: true });
+      cct.batch(() => {
+        cct.a(1);
+        cct.b(2);
+      });
+      expect(cct.history.past).toEqual([
+        { signal: '/', state: {} },
+        { signal: '/batch', state: { a: 1, b: 2 } },
+      ]);
+    });
+    it('should flush batched state when the batch throws', () => {
+      const terminal = jest.fn();
+      const cct = circuit(blueprint, { terminal });
+      expect(() =>
+        cct.batch(() => {
+          cct.a(1);
+          throw new Error('oops');
+        })
+      ).toThrow('oops');
+      expect(terminal).toHaveBeenCalledWith({ a: 1 }, '/batch', false, false);
+    });
+    it('should propagate async reducers after the batch', async () => {
+      const terminal = jest.fn();
+      const cct = circuit(
+        { ...blueprint, c: async (s, c) => ({ ...s, c }) },
+        { terminal }
+      );
+      cct.batch(() => {
+        cct.c(3);
+        cct.a(1);
+      });
+      expect(terminal).toHaveBeenCalledTimes(1);
+      await Promise.resolve();
+      expect(terminal).toHaveBeenCalledTimes(2);
+      expect(terminal).toHaveBeenLastCalledWith({ c: 3 }, '/c', false, true);
+    });
+  });
+
+  describe('schedule', () => {
+    const blueprint = {
+      a: (s, a) => ({ ...s, a }),
+      b: (s, b) => ({ ...s, b }),
+    };
+
+    it('should coalesce terminal calls until the next microtask', async () => {
+      const terminal = jest.fn();
+      const cct = circuit(blueprint, { terminal, schedule: 'microtask' });
+      cct.a(1);
+      cct.b(2);
+      expect(cct.state).toEqual({ a: 1, b: 2 });
+      expect(terminal).not.toHaveBeenCalled();
+      await Promise.resolve();
+      expect(terminal).toHaveBeenCalledTimes(1);
+      expect(terminal).toHaveBeenCalledWith(
+        { a: 1, b: 2 },
+        ['/a', '/b'],
+        false,
+        false
+      );
+    });
+    it('should flush terminal calls on animation frames', () => {
+      const frames = [];
+      realm.requestAnimationFrame = (fn) => frames.push(fn);
+      try {
+        const terminal = jest.fn();
+        const cct = circuit(blueprint, { terminal, schedule: 'raf' });
+        cct.a(1);
+        cct.b(2);
+        expect(frames).toHaveLength(1);
+        frames.shift()();
+        expect(terminal).toHaveBeenCalledWith(
+          { a: 1, b: 2 },
+          ['/a', '/b'],
+          false,
+          false
+        );
+        cct.a(3);
+        expect(frames).toHaveLength(1);
+      } finally {
+        delete realm.requestAnimationFrame;
+      }
+    });
+    it('should flush through a custom scheduler', () => {
+      let flush;
+      const terminal = jest.fn();
+      const cct = circuit(blueprint, {
+        terminal,
+        schedule: (fn) => (flush = fn),
+      });
+      cct.a(1);
+      flush();
+      expect(terminal).toHaveBeenCalledWith({ a: 1 }, ['/a'], false, false);
+    });
+    it('should call root $state handlers once per flush', () => {
+      let flush;
+      const $state = jest.fn((s) => ({ ...s, c: 3 }));
+      const cct = circuit(
+        { ...blueprint, $state },
+        { schedule: (fn) => (flush = fn) }
+      );
+      cct.a(1);
+      cct.b(2);
+      expect($state).not.toHaveBeenCalled();
+      flush();
+      expect($state).toHaveBeenCalledTimes(1);
+      expect(cct.state).toEqual({ a: 1, b: 2, c: 3 });
+    });
+    it('should notify subscribers synchronously', () => {
+      const listener = jest.fn();
+      const cct = circuit(blueprint, { schedule: () => {} });
+      cct.subscribe('/a', listener);
+      cct.a(1);
+      expect(listener).toHaveBeenCalledWith(1, undefined, '/a');
+    });
+    it('should schedule $init state', async () => {
+      let flush;
+      const terminal = jest.fn();
+      circuit(
+        {
+          ...blueprint,
+          $init: (s) => ({ ...s, a: 1 }),
+          b: { $init: () => Promise.resolve(2) },
+        },
+        { terminal, schedule: (fn) => (flush = fn) }
+      );
+      await Promise.resolve();
+      expect(terminal).not.toHaveBeenCalled();
+      flush();
+      expect(terminal).toHaveBeenCalledTimes(1);
+      expect(terminal).toHaveBeenCalledWith(
+        { a: 1, b: 2 },
+        ['/init', '/b/init'],
+        false,
+        false
+      );
+    });
+    it('should schedule hydrated state', async () => {
+      let flush;
+      const terminal = jest.fn();
+      circuit(blueprint, {
+        terminal,
+        schedule: (fn) => (flush = fn),
+        persist: {
+          adapter: {
+            get: () => Promise.resolve({ version: 0, state: { a: 1 } }),
+            set: () => {},
+          },
+        },
+      });
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(terminal).not.toHaveBeenCalled();
+      flush();
+      expect(terminal).toHaveBeenCalledWith(
+        { a: 1 },
+        ['/persist'],
+        false,
+        false
+      );
+    });
+    it('should not flush after dispose', () => {
+      let flush;
+      const terminal = jest.fn();
+      const cct = circuit(blueprint, {
+        terminal,
+        schedule: (fn) => (flush = fn),
+      });
+      cct.a(1);
+      cct.dispose();
+      flush();
+      expect(terminal).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sync', () => {
+    const hub = () => {
+      const channels = [];
+      return () => {
+        const listeners = [];
+        const channel = {
+          postMessage: (data) =>
+            channels.forEach(
+              (other) =>
+                other !== channel &&
+                other.listeners.forEach((listener) => listener({ data }))
+            ),
+          addEventListener: (type, listener) => listeners.push(listener),
+          removeEventListener: (type, listener) =>
+            listeners.splice(listeners.indexOf(listener), 1),
+          listeners,
+        };
+        channels.push(channel);
+        return channel;
+      };
+    };
+    const blueprint = {
+      cart: (s, cart) => ({ ...s, cart }),
+      page: (s, page) => ({ ...s, page }),
+    };
+
+    it('should broadcast and apply changes on chosen paths', () => {
+      const channel = hub();
+      const terminal = jest.fn();
+      const a = circuit(blueprint, {
+        sync: { channel: channel(), paths: ['/cart'] },
+      });
+      const b = circuit(blueprint, {
+        terminal,
+        sync: { channel: channel(), paths: ['/cart'] },
+      });
+      a.cart([1]);
+      a.page(2);
+      expect(b.state).toEqual({ cart: [1] });
+      expect(terminal).toHaveBeenCalledWith(
+        { cart: [1] },
+        '/sync',
+        false,
+        false
+      );
+    });
+    it('should not re-broadcast received changes', () => {
+      const channel = hub();
+      const c = channel();
+      const post = jest.spyOn(c, 'postMessage');
+      const a = circuit(blueprint, { sync: { channel: channel() } });
+      circuit(blueprint, { sync: { channel: c } });
+      a.cart([1]);
+      expect(post).not.toHaveBeenCalled();
+    });
+    it('should keep the last writer by default', () => {
+      const channel = hub();
+      const c = channel();
+      const cct = circuit(blueprint, {
+        sync: { channel: c, paths: ['/cart'] },
+      });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(100);
+      cct.cart([1]);
+      now.mockRestore();
+      const send = (value, time) =>
+        c.listeners[0]({ data: { path: '/cart', value, time, source: 'x' } });
+      send([2], 50);
+      expect(cct.state.cart).toEqual([1]);
+      send([3], 150);
+      expect(cct.state.cart).toEqual([3]);
+    });
+    it('should resolve conflicts with a custom merge', () => {
+      const channel = hub();
+      const merge = (local = [], remote) => [...new Set([...local, ...remote])];
+      const a = circuit(blueprint, {
+        sync: { channel: channel(), paths: ['/cart'], merge },
+      });
+      const b = circuit(blueprint, {
+        state: { cart: [1] },
+        sync: { channel: channel(), paths: ['/cart'], merge },
+      });
+      a.cart([2]);
+      expect(b.state.cart).toEqual([1, 2]);
+    });
+    it('should update nested circuit state', () => {
+      const channel = hub();
+      const nested = {
+        session: {
+          user: (s, user) => ({ ...s, user }),
+          role: (s, role) => ({ ...s, role }),
+        },
+      };
+      const a = circuit(nested, { sync: { channel: channel() } });
+      const b = circuit(nested, { sync: { channel: channel() } });
+      a.session.user('ada');
+      b.session.role('admin');
+      expect(b.state).toEqual({ session: { user: 'ada', role: 'admin' } });
+    });
+    it('should stop syncing on dispose', () => {
+      const channel = hub();
+      const a = circuit(blueprint, { sync: { channel: channel() } });
+      const b = circuit(blueprint, { sync: { channel: channel() } });
+      b.dispose();
+      a.cart([1]);
+      expect(b.state).toEqual({});
+    });
+  });
+
+  describe('dispose', () => {
+    it('should ignore signals after dispose', () => {
+      const x = jest.fn((state, x) => ({ ...state, x }));
+      const terminal = jest.fn();
+      const cct = circuit({ x }, { terminal });
+      cct.dispose();
+      expect(cct.x(1)).toEqual({});
+      expect(x).not.toHaveBeenCalled();
+      expect(terminal).not.toHaveBeenCalled();
+    });
+    it('should dispose nested circuits', () => {
+      const y = jest.fn((state, y) => ({ ...state, y }));
+      const cct = circuit({ x: { y } });
+      cct.dispose();
+      cct.x.y(1);
+      expect(y).not.toHaveBeenCalled();
+    });
+    it('should not resolve async state after dispose', async () => {
+      const terminal = jest.fn();
+      const cct = circuit(
+        { x: (s, x) => Promise.resolve({ ...s, x }) },
+        { terminal }
+      );
+      const resolved = cct.x(1);
+      cct.dispose();
+      await resolved;
+      expect(terminal).not.toHaveBeenCalled();
+      expect(cct.state).toEqual({});
+    });
+    it('should detach layers and junctions', () => {
+      const x_ = (value) => value + 1;
+      const cct = circuit({ x_ });
+      const lct = cct.layer({ x_ });
+      cct.dispose();
+      lct.x(1);
+      expect(lct.state).toEqual({});
+      expect(cct.state).toEqual({});
+    });
+    it('should not call signals named after circuit methods', () => {
+      const dispose = jest.fn((state) => state);
+      const y = jest.fn((state, y) => ({ ...state, y }));
+      const cct = circuit({ session: { dispose, y } });
+      cct.dispose();
+      cct.session.y(1);
+      expect(dispose).not.toHaveBeenCalled();
+      expect(y).not.toHaveBeenCalled();
+    });
+    it('should keep root signals named after root methods', () => {
+      const batch = jest.fn((state) => state);
+      const undo = jest.fn((state) => state);
+      const cct = circuit({ batch, undo }, { history: true });
+      cct.batch(1);
+      cct.undo(1);
+      expect(batch).toHaveBeenCalled();
+      expect(undo).toHaveBeenCalled();
+      expect(cct.redo).toBeDefined();
+    });
+  });
+
+  describe('concurrency', () => {
+    const deferred = () => {
+      const calls = [];
+      const reducer = jest.fn(function (state, value) {
+        return new Promise((resolve) =>
+          calls.push({
+            signal: this.abortSignal,
+            resolve: () => resolve({ ...state, [value]: true }),
+          })
+        );
+      });
+      return [reducer, calls];
+    };
+    const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+    it('should propagate the latest async state', async () => {
+      const [x, calls] = deferred();
+      const cct = circuit({ x }, { concurrency: 'latest' });
+      cct.x('a');
+      cct.x('b');
+      expect(calls[0].signal.aborted).toBe(true);
+      expect(calls[1].signal.aborted).toBe(false);
+      calls[1].resolve();
+      calls[0].resolve();
+      await tick();
+      expect(cct.state).toEqual({ b: true });
+    });
+    it('should keep each call abortSignal after an await', async () => {
+      const aborted = {};
+      const x = async function (state, value) {
+        await Promise.resolve();
+        aborted[value] = this.abortSignal.aborted;
+        return { ...state, [value]: true };
+      };
+      const cct = circuit({ x }, { concurrency: 'latest' });
+      cct.x('a');
+      cct.x('b');
+      await tick();
+      expect(aborted).toEqual({ a: true, b: false });
+      expect(cct.state).toEqual({ b: true });
+    });
+    it('should queue async reducers', async () => {
+      const [x, calls] = deferred();
+      const cct = circuit({ x }, { concurrency: { '/x': 'queue' } });
+      cct.x('a');
+      cct.x('b');
+      expect(x).toHaveBeenCalledTimes(1);
+      calls[0].resolve();
+      await tick();
+      expect(x).toHaveBeenCalledTimes(2);
+      calls[1].resolve();
+      await tick();
+      expect(cct.state).toEqual({ a: true, b: true });
+    });
+    it('should drop async reducers while busy', async () => {
+      const [x, calls] = deferred();
+      const cct = circuit({ x }, { concurrency: 'drop' });
+      cct.x('a');
+      cct.x('b');
+      calls[0].resolve();
+      await tick();
+      cct.x('c');
+      expect(x).toHaveBeenCalledTimes(2);
+      calls[1].resolve();
+      await tick();
+      expect(cct.state).toEqual({ a: true, c: true });
+    });
+    it('should swallow rejections from aborted reducers', async () => {
+      const terminal = jest.fn();
+      let reject;
+      const x = jest
+        .fn()
+        .mockImplementationOnce(() => new Promise((_, r) => (reject = r)))
+        .mockImplementationOnce((state) => ({ ...state, x: 2 }));
+      const cct = circuit({ x }, { concurrency: 'latest', terminal });
+      cct.x(1);
+      cct.x(2);
+      reject(new Error('AbortError'));
+      await tick();
+      expect(cct.state).toEqual({ x: 2 });
+      expect(terminal).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('layers', () => {
     it('should expose a layer API', () => {
       const cct = circuit({});
@@ -527,6 +1572,126 @@ describe('circuit', () => {
       expect(t.mock.calls[0][0]).toEqual({ a: { x: 2 } });
       expect(t.mock.calls[1][0]).toEqual({ a: { x: 3 } });
     });
+    it('should remove a layer and its junctions', () => {
+      const x_ = (value) => value + 1;
+      const t = jest.fn();
+      const cct = circuit({ a: { x_ } });
+      const lct = cct.layer({ a: { x_ } }, { terminal: t });
+      lct.a.x(1);
+      lct.remove();
+      cct.a.x(5);
+      expect(cct.state).toEqual({ a: { x: 6 } });
+      expect(lct.state).toEqual({ a: { x: 2 } });
+      expect(t).toHaveBeenCalledTimes(1);
+    });
+    it('should not keep removed layer junctions in other layers', () => {
+      const x_ = (value) => value + 1;
+      const cct = circuit({ x_ });
+      const handlers = Object.getOwnPropertySymbols(cct)
+        .map((symbol) => cct[symbol])
+        .find(Array.isArray);
+      const { length } = handlers;
+      cct.layer({ x_ }).remove();
+      expect(handlers).toHaveLength(length);
+    });
+    it('should unbind removed layer listeners', () => {
+      const mount = document.createElement('main');
+      mount.innerHTML = '<button class="add"></button>';
+      const add = jest.fn();
+      const cct = circuit({});
+      cct.layer({ add$click: add }, { mount }).remove();
+      mount
+        .querySelector('.add')
+        .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+      expect(add).not.toHaveBeenCalled();
+    });
+    it('should map junctions between differently shaped layers', () => {
+      const items = (s, items) => ({ ...s, items });
+      const rows = (s, rows) => ({ ...s, rows });
+      const cct = circuit({ data: { items } });
+      const lct = cct.layer(
+        { list: { rows } },
+        { junctions: { '/list/rows': '/data/items' } }
+      );
+      cct.data.items([1]);
+      expect(lct.state).toEqual({ list: { rows: [1] } });
+      lct.list.rows([2]);
+      expect(cct.state).toEqual({ data: { items: [2] } });
+    });
+    it('should transform mapped junction values in each direction', () => {
+      const cct = circuit({ count: (s, count) => ({ ...s, count }) });
+      const lct = cct.layer(
+        { label: (s, label) => ({ ...s, label }) },
+        {
+          junctions: {
+            '/label': {
+              path: '/count',
+              to: (label) => label.length,
+              from: (count) => 'x'.repeat(count),
+            },
+          },
+        }
+      );
+      cct.count(3);
+      expect(lct.state.label).toEqual('xxx');
+      lct.label('xxxxx');
+      expect(cct.state.count).toEqual(5);
+    });
+    it('should reject junctions to unknown paths', () => {
+      const mount = document.createElement('main');
+      mount.innerHTML = '<button class="add"></button>';
+      const add = jest.fn();
+      const items = jest.fn();
+      const cct = circuit({ data: { items: (s, items) => ({ ...s, items }) } });
+      expect(() =>
+        cct.layer(
+          { list: { rows: jest.fn() }, data: { items }, add$click: add },
+          { mount, junctions: { '/list/rows': '/data/itmes' } }
+        )
+      ).toThrow(
+        "dom-circuit: signal '/list/rows' resolves to unknown path '/data/itmes', closest path is '/data/items'"
+      );
+      cct.data.items([1]);
+      mount
+        .querySelector('.add')
+        .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+      expect(items).not.toHaveBeenCalled();
+      expect(add).not.toHaveBeenCalled();
+    });
+    it('should unwire mapped junctions when the layer is removed', () => {
+      const rows = jest.fn((s, rows) => ({ ...s, rows }));
+      const cct = circuit({ data: { items: (s, items) => ({ ...s, items }) } });
+      cct
+        .layer(
+          { list: { rows } },
+          { junctions: { '/list/rows': '/data/items' } }
+        )
+        .remove();
+      cct.data.items([1]);
+      expect(rows).not.toHaveBeenCalled();
+    });
+    it('should remove layers with a remove signal', () => {
+      const remove = jest.fn((s) => s);
+      const x = jest.fn((s, x) => ({ ...s, x }));
+      const cct = circuit({ x: (s, x) => ({ ...s, x }) });
+      const view = cct.layer({ x, remove });
+      cct.layer.remove(view);
+      expect(remove).not.toHaveBeenCalled();
+      cct.x(1);
+      expect(x).not.toHaveBeenCalled();
+    });
+    it('should name new layers after removed ones', () => {
+      const cct = circuit({ z: (s, z) => ({ ...s, z }) });
+      const one = cct.layer({ x: (s, x) => ({ ...s, x }) });
+      const two = cct.layer({ y: (s, y) => ({ ...s, y }) });
+      one.remove();
+      cct.layer({ w: (s, w) => ({ ...s, w }) });
+      two.y(1);
+      const listener = jest.fn();
+      cct.subscribe('/2/y', listener);
+      two.y(2);
+      expect(listener).toHaveBeenCalledWith(2, 1, '/y');
+    });
   });
 });
 
@@ -705,6 +1870,9 @@ describe('binding', () => {
       addEventListener: jest.fn((listener, handler) => {
         handlers[listener] = handler;
       }),
+      removeEventListener: jest.fn((listener, handler) => {
+        if (handlers[listener] === handler) delete handlers[listener];
+      }),
     };
   });
 
@@ -784,4 +1952,923 @@ describe('binding', () => {
     );
     expect(ctx.value).toBe(element);
   });
+  it('should pass event modifiers as listener options', () => {
+    circuit({ 'id$click.capture.once': jest.fn() }, { mount: element });
+    expect(element.addEventListener).toHaveBeenCalledWith(
+      'click',
+      expect.any(Function),
+      { capture: true, once: true, passive: false }
+    );
+  });
+  it('should apply event modifiers before the reducer', () => {
+    const event = {
+      preventDefault: jest.fn(),
+      stopPropagation: jest.fn(),
+    };
+    const y = jest.fn(() => {
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(event.stopPropagation).toHaveBeenCalled();
+    });
+    const cct = circuit({ 'id$submit.prevent.stop': y }, { mount: element });
+    handlers.submit.call(element, event);
+    expect(y).toHaveBeenCalled();
+    expect(cct.id).toBeDefined();
+  });
+  describe('timing modifiers', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('should debounce events on the trailing edge', () => {
+      const y = jest.fn();
+      circuit({ 'id$input.debounce(300)': y }, { mount: element });
+      handlers.input.call(element, 1);
+      handlers.input.call(element, 2);
+      jest.advanceTimersByTime(299);
+      expect(y).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(y).toHaveBeenCalledTimes(1);
+      expect(y).toHaveBeenCalledWith({}, 2);
+    });
+    it('should debounce events on the leading edge', () => {
+      const y = jest.fn();
+      circuit({ 'id$input.debounce(300).leading': y }, { mount: element });
+      handlers.input.call(element, 1);
+      handlers.input.call(element, 2);
+      jest.advanceTimersByTime(300);
+      expect(y).toHaveBeenCalledTimes(1);
+      expect(y).toHaveBeenCalledWith({}, 1);
+    });
+    it('should throttle events on leading and trailing edges', () => {
+      const y = jest.fn();
+      circuit({ 'id$scroll.throttle(100)': y }, { mount: element });
+      handlers.scroll.call(element, 1);
+      handlers.scroll.call(element, 2);
+      handlers.scroll.call(element, 3);
+      expect(y).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(100);
+      expect(y).toHaveBeenCalledTimes(2);
+      expect(y).toHaveBeenLastCalledWith({}, 3);
+    });
+    it('should keep this context in timed reducers', () => {
+      let el;
+      const y = function () {
+        el = this.el;
+      };
+      circuit({ 'id$input.debounce(10)': y }, { mount: element });
+      handlers.input.call(element, 1);
+      jest.advanceTimersByTime(10);
+      expect(el).toBe(element);
+    });
+    it('should not drop state propagation in flight', () => {
+      const terminal = jest.fn();
+      const y = (state, x) => Promise.resolve({ ...state, x });
+      circuit({ 'id$input.debounce(10)': y }, { mount: element, terminal });
+      handlers.input.call(element, 1);
+      jest.advanceTimersByTime(10);
+      handlers.input.call(element, 2);
+      return Promise.resolve().then(() => {
+        expect(terminal).toHaveBeenCalledTimes(1);
+        expect(terminal.mock.calls[0][0]).toEqual({ x: 1 });
+      });
+    });
+    it('should cancel pending events on dispose', () => {
+      const y = jest.fn();
+      const cct = circuit({ 'id$input.debounce(10)': y }, { mount: element });
+      handlers.input.call(element, 1);
+      cct.dispose();
+      jest.advanceTimersByTime(10);
+      expect(y).not.toHaveBeenCalled();
+    });
+  });
+  it('should reject unmatched selectors in strict mode', () => {
+    expect(() =>
+      circuit({ id$click: jest.fn() }, { mount: element, strict: true })
+    ).not.toThrow();
+    expect(() =>
+      circuit({ item$click: jest.fn() }, { mount: element, strict: true })
+    ).toThrow("selector 'item' in signal 'item$click' matches no element");
+    expect(() =>
+      circuit({ item: { y: jest.fn() } }, { mount: element, strict: true })
+    ).toThrow("selector 'item' in signal 'item' matches no element");
+  });
+  describe('headless', () => {
+    it('should not resolve or bind elements', () => {
+      const y = jest.fn(function (state, y) {
+        return { ...state, y, el: this.el };
+      });
+      const cct = circuit(
+        { id: { y, $click: jest.fn() } },
+        { mount: element, headless: true }
+      );
+      cct.id.y(1);
+      expect(element.querySelectorAll).not.toHaveBeenCalled();
+      expect(element.addEventListener).not.toHaveBeenCalled();
+      expect(cct.state).toEqual({ id: { y: 1, el: undefined } });
+    });
+    it('should attach to the DOM without losing state', () => {
+      const y = (state, y) => ({ ...state, y });
+      const $click = function (state) {
+        return { ...state, id: this.el };
+      };
+      const cct = circuit({ y, id: { $click } }, { headless: true });
+      cct.y(1);
+      cct.attach(element);
+      handlers.click.call(element, {});
+      expect(cct.state).toEqual({ y: 1, id: element });
+    });
+    it('should only attach once', () => {
+      const cct = circuit({ id$click: jest.fn() }, { headless: true });
+      cct.attach(element);
+      expect(() => cct.attach(element)).toThrow('already attached');
+      expect(() => circuit({}, { mount: element }).attach(element)).toThrow(
+        'already attached'
+      );
+    });
+  });
+  it('should apply concurrency modifiers to event signals', () => {
+    let signal;
+    const y = function () {
+      signal = this.abortSignal;
+      return new Promise(() => {});
+    };
+    circuit({ 'id$input.latest': y }, { mount: element });
+    handlers.input.call(element, {});
+    const first = signal;
+    handlers.input.call(element, {});
+    expect(first.aborted).toBe(true);
+    expect(signal.aborted).toBe(false);
+  });
+  it('should unbind DOM elements on dispose', () => {
+    const cct = circuit(
+      { id: { $click1: jest.fn(), id: { $click2: jest.fn() } } },
+      { mount: element }
+    );
+    cct.dispose();
+    expect(element.removeEventListener).toHaveBeenCalledTimes(2);
+    expect(handlers).toEqual({});
+  });
+});
+
+describe('live binding', () => {
+  let mount;
+  const tick = () => new Promise((resolve) => setTimeout(resolve));
+  const click = (el) => el.dispatchEvent(new MouseEvent('click'));
+  beforeEach(() => {
+    mount = document.createElement('main');
+    mount.innerHTML =
+      '<div class="items"><button class="remove"></button></div>';
+  });
+
+  it('should reduce for every matched element without live binding', () => {
+    mount.querySelector('.items').innerHTML +=
+      '<button class="remove"></button>';
+    const remove = jest.fn();
+    circuit({ items: { remove$click: remove } }, { mount });
+    click(mount.querySelector('.remove'));
+    expect(remove).toHaveBeenCalledTimes(2);
+  });
+  it('should bind elements added after build', async () => {
+    const remove = jest.fn(function (items) {
+      return { ...items, el: this.el };
+    });
+    const cct = circuit(
+      { items: { remove$click: remove } },
+      { mount, live: true }
+    );
+    const button = document.createElement('button');
+    button.className = 'remove';
+    mount.querySelector('.items').appendChild(button);
+    await tick();
+    click(button);
+    expect(remove).toHaveBeenCalledTimes(1);
+    expect(cct.state.items.el).toBe(button);
+  });
+  it('should unbind elements removed after build', async () => {
+    const remove = jest.fn();
+    circuit({ items: { remove$click: remove } }, { mount, live: true });
+    const button = mount.querySelector('.remove');
+    button.remove();
+    await tick();
+    click(button);
+    expect(remove).not.toHaveBeenCalled();
+  });
+  it('should not bind unmatched selectors to the mount element', () => {
+    const remove = jest.fn();
+    circuit({ items: { add$click: remove } }, { mount, live: true });
+    click(mount.querySelector('.items'));
+    expect(remove).not.toHaveBeenCalled();
+  });
+  it('should stop observing on dispose', async () => {
+    const remove = jest.fn();
+    const cct = circuit(
+      { items: { remove$click: remove } },
+      { mount, live: true }
+    );
+    cct.dispose();
+    const button = document.createElement('button');
+    button.className = 'remove';
+    mount.querySelector('.items').appendChild(button);
+    await tick();
+    click(button);
+    expect(remove).not.toHaveBeenCalled();
+  });
+});
+
+describe('delegation', () => {
+  let mount;
+  const click = (el) =>
+    el.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  beforeEach(() => {
+    mount = document.createElement('main');
+    mount.innerHTML =
+      '<div class="items"><div class="item"><button class="remove"><b>X</b></button></div></div>';
+  });
+
+  it('should bind one listener to the container', () => {
+    const items = mount.querySelector('.items');
+    const listen = jest.spyOn(items, 'addEventListener');
+    circuit({ items: { remove$click: jest.fn() } }, { mount, delegate: true });
+    expect(listen).toHaveBeenCalledTimes(1);
+  });
+  it('should route matching events to the reducer', () => {
+    const remove = jest.fn(function (items) {
+      return { ...items, el: this.el };
+    });
+    const cct = circuit(
+      { items: { remove$click: remove } },
+      { mount, delegate: true }
+    );
+    const button = mount.querySelector('.remove');
+    click(button.firstChild);
+    expect(remove).toHaveBeenCalledTimes(1);
+    expect(cct.state.items.el).toBe(button);
+  });
+  it('should route events from elements added after build', () => {
+    const remove = jest.fn();
+    circuit({ items: { remove$click: remove } }, { mount, delegate: true });
+    const button = document.createElement('button');
+    button.className = 'remove';
+    mount.querySelector('.item').appendChild(button);
+    click(button);
+    expect(remove).toHaveBeenCalledTimes(1);
+  });
+  it('should ignore unmatched events', () => {
+    const remove = jest.fn();
+    circuit({ items: { remove$click: remove } }, { mount, delegate: true });
+    click(mount.querySelector('.item'));
+    expect(remove).not.toHaveBeenCalled();
+  });
+});
+
+describe('form binding', () => {
+  let mount;
+  const input = (el) => el.dispatchEvent(new Event('input', { bubbles: true }));
+  const change = (el) =>
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  const profile = (state, profile) => ({ ...state, profile });
+  beforeEach(() => {
+    mount = document.createElement('main');
+    mount.innerHTML = `<form id="profile">
+      <input name="name" value="Ada">
+      <input name="age" type="number" value="36">
+      <input name="admin" type="checkbox">
+      <input name="tags" type="checkbox" value="a" checked>
+      <input name="tags" type="checkbox" value="b">
+      <input name="plan" type="radio" value="free" checked>
+      <input name="plan" type="radio" value="pro">
+      <select name="langs" multiple>
+        <option value="en" selected></option><option value="fr"></option>
+      </select>
+      <input name="locked" value="x" disabled>
+      <button name="save">Save</button>
+    </form>`;
+  });
+
+  it('should reduce coerced control values by name', () => {
+    const cct = circuit({ profile$form: profile }, { mount });
+    input(mount.querySelector('[name=name]'));
+    expect(cct.state.profile).toEqual({
+      name: 'Ada',
+      age: 36,
+      admin: false,
+      tags: ['a'],
+      plan: 'free',
+      langs: ['en'],
+    });
+  });
+  it('should reduce control changes', () => {
+    const cct = circuit({ profile$form: profile }, { mount });
+    const [, pro] = mount.querySelectorAll('[name=plan]');
+    pro.checked = true;
+    change(pro);
+    mount.querySelector('[name=admin]').checked = true;
+    change(mount.querySelector('[name=admin]'));
+    expect(cct.state.profile).toMatchObject({ plan: 'pro', admin: true });
+  });
+  it('should not reduce unchanged values', () => {
+    const reducer = jest.fn(profile);
+    circuit({ profile$form: reducer }, { mount });
+    const name = mount.querySelector('[name=name]');
+    input(name);
+    change(name);
+    expect(reducer).toHaveBeenCalledTimes(1);
+  });
+  it('should write state changes back to the controls', () => {
+    const terminal = jest.fn();
+    const cct = circuit({ profile$form: profile }, { mount, terminal });
+    const form = mount.querySelector('form');
+    const listen = jest.fn();
+    form.addEventListener('change', listen);
+    form.addEventListener('input', listen);
+    cct.profile({ name: 'Grace', age: 85, tags: ['b'], plan: 'pro' });
+    expect(mount.querySelector('[name=name]').value).toEqual('Grace');
+    expect(mount.querySelector('[name=age]').value).toEqual('85');
+    expect(mount.querySelector('[value=a]').checked).toBe(false);
+    expect(mount.querySelector('[value=b]').checked).toBe(true);
+    expect(mount.querySelector('[value=pro]').checked).toBe(true);
+    expect(listen).not.toHaveBeenCalled();
+    expect(terminal).toHaveBeenCalledTimes(1);
+  });
+  it('should write initial state to the controls', () => {
+    circuit(
+      { profile$form: profile },
+      { mount, state: { profile: { name: 'Grace', langs: ['fr'] } } }
+    );
+    const [en, fr] = mount.querySelectorAll('option');
+    expect(mount.querySelector('[name=name]').value).toEqual('Grace');
+    expect([en.selected, fr.selected]).toEqual([false, true]);
+  });
+  it('should stop writing to the controls on dispose', () => {
+    const cct = circuit({ profile$form: profile }, { mount });
+    cct.dispose();
+    cct.profile({ name: 'Grace' });
+    expect(mount.querySelector('[name=name]').value).toEqual('Ada');
+  });
+});
+
+describe('list rendering', () => {
+  let mount;
+  const click = (el) =>
+    el.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  const texts = () =>
+    [...mount.querySelectorAll('.items li')].map((el) => el.textContent);
+  const items = (id) => ({ id, text: `item ${id}` });
+  const list = (options) => ({
+    items: (s, items) => ({ ...s, items }),
+    items$list: {
+      key: ({ id }) => id,
+      template: '#row',
+      update: (el, { text }) => (el.querySelector('span').textContent = text),
+      ...options,
+    },
+  });
+  beforeEach(() => {
+    mount = document.createElement('main');
+    mount.innerHTML =
+      '<template id="row"><li><span></span><button class="remove"></button></li></template><ul class="items"></ul>';
+    document.body.appendChild(mount);
+  });
+  afterEach(() => mount.remove());
+
+  it('should render rows from initial array state', () => {
+    circuit(list(), { mount, state: { items: [items(1), items(2)] } });
+    expect(texts()).toEqual(['item 1', 'item 2']);
+  });
+  it('should insert, move and remove keyed rows', () => {
+    const cct = circuit(list(), {
+      mount,
+      state: { items: [items(1), items(2), items(3)] },
+    });
+    const [one, two, three] = mount.querySelectorAll('li');
+    const container = mount.querySelector('.items');
+    const insert = jest.spyOn(container, 'insertBefore');
+    cct.items([items(3), items(1), items(4), items(2)]);
+    expect(texts()).toEqual(['item 3', 'item 1', 'item 4', 'item 2']);
+    expect(insert).toHaveBeenCalledTimes(2);
+    const rows = mount.querySelectorAll('li');
+    expect([rows[0], rows[1], rows[3]]).toEqual([three, one, two]);
+    cct.items([items(4)]);
+    expect(texts()).toEqual(['item 4']);
+  });
+  it('should only update changed rows', () => {
+    const update = jest.fn();
+    const cct = circuit(list({ update }), {
+      mount,
+      state: { items: [items(1), items(2)] },
+    });
+    const [, two] = cct.state.items;
+    cct.items([items(1), two]);
+    expect(update).toHaveBeenCalledTimes(3);
+  });
+  it('should reduce row signals with the row element and index', () => {
+    const remove = jest.fn(function (items) {
+      return items.filter((_, index) => index !== this.index);
+    });
+    const cct = circuit(list({ signals: { remove$click: remove } }), {
+      mount,
+      state: { items: [items(1), items(2), items(3)] },
+    });
+    const row = mount.querySelectorAll('li')[1];
+    click(row.querySelector('.remove'));
+    const { el, index } = remove.mock.instances[0];
+    expect({ el, index }).toEqual({ el: row, index: 1 });
+    expect(cct.state.items).toEqual([items(1), items(3)]);
+    expect(texts()).toEqual(['item 1', 'item 3']);
+  });
+  it('should reduce row signals in the circuit context', () => {
+    const pick = jest.fn(function (items) {
+      this.signal('/selected', this.item.id);
+    });
+    const cct = circuit(
+      {
+        ...list({ signals: { 'pick:remove$click.once': pick } }),
+        selected: (s, selected) => ({ ...s, selected }),
+      },
+      { mount, state: { items: [items(1), items(2)] } }
+    );
+    const button = mount.querySelectorAll('.remove')[1];
+    click(button);
+    click(button);
+    expect(pick).toHaveBeenCalledTimes(1);
+    expect(pick.mock.instances[0].id).toEqual('/items/pick');
+    expect(cct.state.selected).toEqual(2);
+  });
+  it('should render rows from a template function', () => {
+    circuit(
+      list({
+        template: ({ text }) =>
+          Object.assign(document.createElement('li'), { textContent: text }),
+        update: undefined,
+      }),
+      { mount, state: { items: [items(1)] } }
+    );
+    expect(texts()).toEqual(['item 1']);
+  });
+  it('should unbind row signals on dispose', () => {
+    const remove = jest.fn();
+    const cct = circuit(list({ signals: { remove$click: remove } }), {
+      mount,
+      state: { items: [items(1)] },
+    });
+    const button = mount.querySelector('.remove');
+    cct.dispose();
+    click(button);
+    expect(remove).not.toHaveBeenCalled();
+  });
+  it('should remove rendered rows on dispose', () => {
+    const state = { items: [items(1), items(2)] };
+    circuit(list(), { mount, state }).dispose();
+    expect(texts()).toEqual([]);
+    circuit(list(), { mount, state });
+    expect(texts()).toEqual(['item 1', 'item 2']);
+  });
+  it('should find the template in the shadow root of the mount', () => {
+    const host = document.createElement('div');
+    mount.appendChild(host);
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML =
+      '<template id="shadow-row"><li><span></span></li></template><ul class="items"></ul>';
+    circuit(list({ template: '#shadow-row' }), {
+      mount: shadow.querySelector('.items').parentNode,
+      state: { items: [items(1)] },
+    });
+    expect(
+      [...shadow.querySelectorAll('li')].map((el) => el.textContent)
+    ).toEqual(['item 1']);
+  });
+});
+
+describe('router', () => {
+  let mount;
+  const blueprint = {
+    '$route(/items/:id)': (state, { id }) => ({ ...state, selected: id }),
+    '$route(/items)': (state) => ({ ...state, selected: undefined }),
+    select: (state, selected) => ({ ...state, selected }),
+  };
+  const popstate = () => window.dispatchEvent(new PopStateEvent('popstate'));
+  beforeEach(() => {
+    mount = document.createElement('main');
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('should signal the matching route on build', () => {
+    window.history.replaceState(null, '', '/items/12');
+    const cct = circuit(blueprint, { mount, router: {} });
+    expect(cct.state).toEqual({ selected: '12' });
+  });
+  it('should listen to the URL once a headless circuit is attached', () => {
+    window.history.replaceState(null, '', '/items/12');
+    const cct = circuit(blueprint, { headless: true, router: {} });
+    expect(cct.state).toEqual({});
+    cct.attach(mount);
+    expect(cct.state).toEqual({ selected: '12' });
+  });
+  it('should ask for router.window without a window', () => {
+    const doc = document.implementation.createHTMLDocument('');
+    expect(() => circuit(blueprint, { mount: doc, router: {} })).toThrow(
+      'dom-circuit: router found no window, pass it as router.window'
+    );
+  });
+  it('should match routes with underscores', () => {
+    window.history.replaceState(null, '', '/my_page');
+    const page = jest.fn((state) => ({ ...state, page: true }));
+    const cct = circuit({ '$route(/my_page)': page }, { mount, router: {} });
+    expect(page).toHaveBeenCalledTimes(1);
+    expect(cct.state).toEqual({ page: true });
+  });
+  it('should signal routes on popstate', () => {
+    const cct = circuit(blueprint, { mount, router: {} });
+    window.history.pushState(null, '', '/items/a%20b');
+    popstate();
+    expect(cct.state.selected).toEqual('a b');
+    window.history.pushState(null, '', '/items');
+    popstate();
+    expect(cct.state).toEqual({});
+  });
+  it('should navigate from the reducer context', () => {
+    const cct = circuit(
+      {
+        ...blueprint,
+        open(state, id) {
+          this.navigate(`/items/${id}`);
+        },
+      },
+      { mount, router: {} }
+    );
+    cct.open(3);
+    expect(window.location.pathname).toEqual('/items/3');
+    expect(cct.state.selected).toEqual('3');
+  });
+  it('should reflect designated state paths into the url', () => {
+    const push = jest.spyOn(window.history, 'pushState');
+    const replace = jest.spyOn(window.history, 'replaceState');
+    const cct = circuit(
+      { ...blueprint, filter: (state, filter) => ({ ...state, filter }) },
+      {
+        mount,
+        router: {
+          reflect: {
+            '/selected': (id) => (id ? `/items/${id}` : '/items'),
+            '/filter': {
+              url: (filter, { selected }) => `/items/${selected}?${filter}`,
+              replace: true,
+            },
+          },
+        },
+      }
+    );
+    cct.select('7');
+    expect(push).toHaveBeenLastCalledWith(null, '', '/items/7');
+    cct.filter('done');
+    expect(replace).toHaveBeenLastCalledWith(null, '', '/items/7?done');
+    push.mockRestore();
+    replace.mockRestore();
+  });
+  it('should route and reflect in hash mode', () => {
+    window.history.replaceState(null, '', '/#/items/5');
+    const cct = circuit(blueprint, {
+      mount,
+      router: {
+        mode: 'hash',
+        reflect: { '/selected': (id) => `/items/${id}` },
+      },
+    });
+    expect(cct.state.selected).toEqual('5');
+    cct.select('6');
+    expect(window.location.hash).toEqual('#/items/6');
+    window.location.hash = '#/items/8';
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+    expect(cct.state.selected).toEqual('8');
+  });
+  it('should route after $init hydration', () => {
+    window.history.replaceState(null, '', '/items/1');
+    const cct = circuit(
+      { ...blueprint, $init: (state) => ({ ...state, filter: 'all' }) },
+      { mount, router: {} }
+    );
+    expect(cct.state).toEqual({ filter: 'all', selected: '1' });
+  });
+  it('should stop routing on dispose', () => {
+    const cct = circuit(blueprint, { mount, router: {} });
+    cct.dispose();
+    window.history.pushState(null, '', '/items/1');
+    popstate();
+    expect(cct.state).toEqual({});
+  });
+  it('should require the router option to navigate', () => {
+    const cct = circuit({
+      open() {
+        this.navigate('/');
+      },
+    });
+    expect(() => cct.open(1)).toThrow(
+      'dom-circuit: navigate requires the router option'
+    );
+  });
+});
+
+describe('worker', () => {
+  const { MessageChannel } = require('worker_threads');
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 20));
+  let channel, mount;
+  const blueprint = {
+    items: {
+      add: (items, item) => [...items, item],
+      filter$input: (items, { target }) =>
+        items.filter((item) => item.includes(target.value)),
+    },
+    'count$/items': (state, items) => ({ ...state, count: items.length }),
+    fail: () => {
+      throw new Error('oops');
+    },
+  };
+  beforeEach(() => {
+    channel = new MessageChannel();
+    mount = document.createElement('main');
+    mount.innerHTML = '<input class="filter" value="b">';
+  });
+  afterEach(() => {
+    channel.port1.close();
+    channel.port2.close();
+  });
+
+  it('should reduce forwarded signals in the worker', async () => {
+    const terminal = jest.fn();
+    const worker = circuit(blueprint, {
+      serve: channel.port2,
+      state: { items: [] },
+    });
+    const cct = circuit(blueprint, {
+      worker: channel.port1,
+      terminal,
+      mount,
+      state: { items: [] },
+    });
+    cct.items.add('a');
+    expect(cct.state).toEqual({ items: [] });
+    await tick();
+    expect(worker.state).toEqual({ items: ['a'], count: 1 });
+    expect(cct.state).toEqual({ items: ['a'], count: 1 });
+    expect(terminal).toHaveBeenLastCalledWith(
+      { items: ['a'], count: 1 },
+      '/items/add',
+      false,
+      false
+    );
+  });
+  it('should forward DOM events as plain objects', async () => {
+    circuit(blueprint, {
+      serve: channel.port2,
+      state: { items: ['a', 'b'] },
+    });
+    const cct = circuit(blueprint, { worker: channel.port1, mount });
+    mount
+      .querySelector('input')
+      .dispatchEvent(new Event('input', { bubbles: true }));
+    await tick();
+    expect(cct.state.items).toEqual(['b']);
+  });
+  it('should sync initial worker state', async () => {
+    circuit(
+      { ...blueprint, $init: (state) => ({ ...state, ready: true }) },
+      { serve: channel.port2 }
+    );
+    const cct = circuit(blueprint, { worker: channel.port1, mount });
+    await tick();
+    expect(cct.state).toEqual({ ready: true });
+  });
+  it('should report worker errors on the main thread', async () => {
+    const onError = jest.fn();
+    circuit(blueprint, { serve: channel.port2 });
+    const cct = circuit(blueprint, { worker: channel.port1, mount, onError });
+    cct.fail();
+    await tick();
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'oops' }),
+      '/fail',
+      {}
+    );
+  });
+  it('should report errors of headless worker circuits', async () => {
+    const onError = jest.fn();
+    circuit(blueprint, { serve: channel.port2, headless: true });
+    const cct = circuit(blueprint, { worker: channel.port1, mount, onError });
+    cct.fail();
+    await tick();
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+  it('should tell aliased signals on one selector apart', async () => {
+    const aliased = {
+      'A:save$click': (state) => ({ ...state, a: true }),
+      'B:save$keydown': (state) => ({ ...state, b: true }),
+    };
+    const worker = circuit(aliased, { serve: channel.port2 });
+    const cct = circuit(aliased, { worker: channel.port1, mount });
+    cct.A();
+    await tick();
+    expect(worker.state).toEqual({ a: true });
+    expect(cct.state).toEqual({ a: true });
+  });
+  it('should reduce list row signals in the worker', async () => {
+    const listed = {
+      items: (s, items) => ({ ...s, items }),
+      items$list: {
+        template: '#row',
+        update: (el, item) => (el.textContent = item),
+        signals: {
+          $click(items) {
+            return items.filter((_, index) => index !== this.index);
+          },
+        },
+      },
+    };
+    mount.innerHTML =
+      '<template id="row"><li></li></template><ul class="items"></ul>';
+    const state = { items: [1, 2, 3] };
+    const worker = circuit(listed, { serve: channel.port2, state });
+    const cct = circuit(listed, { worker: channel.port1, mount, state });
+    mount
+      .querySelectorAll('li')[0]
+      .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    await tick();
+    expect(worker.state).toEqual({ items: [2, 3] });
+    expect(cct.state).toEqual({ items: [2, 3] });
+    expect(mount.querySelectorAll('li')).toHaveLength(2);
+  });
+});
+
+describe('custom elements', () => {
+  // jsdom has no custom element registry, so instances wrap a plain element
+  class Base {
+    constructor() {
+      this.host = document.createElement('div');
+      this.ownerDocument = document;
+    }
+    get shadowRoot() {
+      return this.host.shadowRoot;
+    }
+    attachShadow(options) {
+      return this.host.attachShadow(options);
+    }
+    hasAttribute(name) {
+      return this.host.hasAttribute(name);
+    }
+    getAttribute(name) {
+      return this.host.getAttribute(name);
+    }
+    setAttribute(name, value) {
+      const previous = this.getAttribute(name);
+      this.host.setAttribute(name, value);
+      if (this.constructor.observedAttributes.includes(name))
+        this.attributeChangedCallback(name, previous, value);
+    }
+    dispatchEvent(e) {
+      return this.host.dispatchEvent(e);
+    }
+    addEventListener(...args) {
+      return this.host.addEventListener(...args);
+    }
+  }
+  const registry = { define: jest.fn() };
+  const blueprint = {
+    maxItems: (state, maxItems) => ({ ...state, maxItems: +maxItems }),
+    add$click: (state) => ({ ...state, count: (state.count || 0) + 1 }),
+  };
+  const define = (options) =>
+    defineCircuitElement('todo-list', blueprint, {
+      registry,
+      base: Base,
+      template: '<button class="add"></button>',
+      attributes: ['max-items'],
+      ...options,
+    });
+
+  it('should register the element class', () => {
+    const TodoList = define();
+    expect(registry.define).toHaveBeenCalledWith('todo-list', TodoList);
+    expect(TodoList.observedAttributes).toEqual(['max-items']);
+  });
+  it('should build the circuit in the shadow root on connect', () => {
+    const el = new (define())();
+    el.connectedCallback();
+    el.shadowRoot
+      .querySelector('.add')
+      .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(el.circuit.state).toEqual({ count: 1 });
+  });
+  it('should map observed attributes to signals', () => {
+    const el = new (define())();
+    el.setAttribute('max-items', '5');
+    el.connectedCallback();
+    expect(el.circuit.state).toEqual({ maxItems: 5 });
+    el.setAttribute('max-items', '7');
+    expect(el.circuit.state).toEqual({ maxItems: 7 });
+  });
+  it('should emit state changes as custom events', () => {
+    const el = new (define({ events: { '/maxItems': 'maxchange' } }))();
+    const statechange = jest.fn();
+    const maxchange = jest.fn();
+    el.addEventListener('statechange', statechange);
+    el.addEventListener('maxchange', maxchange);
+    el.connectedCallback();
+    el.circuit.add();
+    expect(statechange.mock.calls[0][0].detail).toEqual({
+      state: { count: 1 },
+      signal: '/add',
+    });
+    el.setAttribute('max-items', '3');
+    expect(maxchange.mock.calls[0][0].detail).toEqual({
+      value: 3,
+      previous: undefined,
+      signal: '/maxItems',
+    });
+  });
+  it('should dispose the circuit on disconnect and keep its state', () => {
+    const el = new (define())();
+    el.connectedCallback();
+    const { circuit: cct } = el;
+    const button = el.shadowRoot.querySelector('.add');
+    button.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    el.disconnectedCallback();
+    expect(el.circuit).toBeUndefined();
+    button.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(cct.state).toEqual({ count: 1 });
+    el.connectedCallback();
+    expect(el.circuit.state).toEqual({ count: 1 });
+  });
+});
+
+describe('shadow DOM', () => {
+  let mount, inner;
+  const click = (el) =>
+    el.dispatchEvent(
+      new MouseEvent('click', { bubbles: true, composed: true })
+    );
+  beforeEach(() => {
+    mount = document.createElement('main');
+    mount.innerHTML =
+      '<div class="card"><x-button class="save"></x-button></div>';
+    const shadow = mount
+      .querySelector('x-button')
+      .attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<button class="inner"><b>Save</b></button>';
+    inner = shadow.querySelector('.inner');
+  });
+
+  it('should not resolve shadow content without piercing', () => {
+    const handler = jest.fn();
+    circuit({ inner$click: handler }, { mount });
+    click(inner);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.instances[0].el).toBe(mount);
+  });
+  it('should resolve selectors in open shadow roots when piercing', () => {
+    const handler = jest.fn(function (state) {
+      return { ...state, el: this.el };
+    });
+    const cct = circuit({ inner$click: handler }, { mount, pierce: true });
+    click(inner.firstChild);
+    expect(cct.state.el).toBe(inner);
+  });
+  it('should target host shadow content with >>>', () => {
+    const handler = jest.fn(function (state) {
+      return { ...state, el: this.el };
+    });
+    const cct = circuit(
+      { 'save:x-button >>> .inner$click': handler },
+      { mount }
+    );
+    click(inner);
+    expect(cct.state.el).toBe(inner);
+  });
+  it('should address >>> signals by their shadow content', () => {
+    const terminal = jest.fn();
+    circuit(
+      { 'save:x-button >>> .inner$click': (state) => ({ ...state, saved: 1 }) },
+      { mount, terminal }
+    );
+    click(inner);
+    expect(terminal.mock.calls[0].slice(0, 2)).toEqual([
+      { saved: 1 },
+      '/inner',
+    ]);
+  });
+  it('should reject live >>> selectors', () => {
+    expect(() =>
+      circuit({ 'x-button >>> .inner$click': jest.fn() }, { mount, live: true })
+    ).toThrow(
+      "dom-circuit: selector 'x-button >>> .inner' in signal 'x-button >>> .inner$click' cannot be live"
+    );
+  });
+  it('should delegate events from shadow content', () => {
+    const handler = jest.fn(function (state) {
+      return { ...state, el: this.el };
+    });
+    const cct = circuit(
+      { card: { inner$click: handler } },
+      { mount, delegate: true }
+    );
+    click(inner.firstChild);
+    expect(cct.state.card.el).toBe(inner);
+  });
 });